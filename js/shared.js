@@ -0,0 +1,24 @@
+/**
+ * Helpers shared by the side panel and the service worker
+ */
+
+/**
+ * Get the key two tabs share when they are duplicates
+ * @param {string} url - The tab URL
+ * @param {string} compare - "exact", "hash" (ignore #hash) or "query" (ignore ?query and #hash)
+ * @returns {string} The comparison key
+ */
+function getDuplicateKey(url, compare) {
+  try {
+    const parsedUrl = new URL(url);
+    if (compare !== "exact") {
+      parsedUrl.hash = "";
+    }
+    if (compare === "query") {
+      parsedUrl.search = "";
+    }
+    return parsedUrl.href;
+  } catch {
+    return url;
+  }
+}
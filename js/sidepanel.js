@@ -44,12 +44,37 @@ class Tabs {
     chrome.tabs.onRemoved.addListener(Tabs.onTabRemoved);
     chrome.tabs.onCreated.addListener(Tabs.onCreated);
     chrome.tabs.onActivated.addListener(Tabs.onActivated);
-    chrome.tabs.onReplaced.addListener(Tabs.delayRebuild);
-    chrome.tabs.onMoved.addListener(Tabs.delayRebuild);
-    chrome.tabs.onDetached.addListener(Tabs.delayRebuild);
-    chrome.tabs.onAttached.addListener(Tabs.delayRebuild);
+    chrome.tabs.onReplaced.addListener(() => Tabs.scheduleSync());
+    chrome.tabs.onMoved.addListener(Tabs.onMoved);
+    chrome.tabs.onDetached.addListener(Tabs.onDetached);
+    chrome.tabs.onAttached.addListener(Tabs.onAttached);
+    
+    // Main-frame load failures are tracked by the service worker, so failures
+    // from before the panel was opened show up too
+    chrome.storage.session.onChanged.addListener(Tabs.onLoadErrorsChanged);
+    
+    // Load error messages by tab ID, for tabs in any window
+    Tabs.errors = new Map();
+    chrome.storage.session.get("loadErrors").then(({ loadErrors = {} }) => {
+      Tabs.onLoadErrorsChanged({ loadErrors: { newValue: loadErrors } });
+    });
+    
+    Tabs.syncTimeoutId = 0;
+    Tabs.duplicateTimeoutId = 0;
+    Tabs.buildId = 0;
+    
+    // Latest tab data by ID, used to mount rows as they scroll into view
+    Tabs.info = new Map();
+    
+    // Only rows near the viewport get their content mounted
+    Tabs.observer = new IntersectionObserver(Tabs.onRowsIntersect, {
+      root: Main,
+      rootMargin: "100% 0px",
+    });
     
-    Tabs.delayTimeoutId = 0;
+    // Multi-selection state (tab IDs) and the anchor for Shift-click ranges
+    Tabs.selection = new Set();
+    Tabs.selectionAnchor = null;
     
     // Build initial tab list
     Tabs.build().then(function () {
@@ -80,77 +105,440 @@ class Tabs {
   }
   
   /**
-   * Build the complete tab list for the current window
-   * Organizes tabs by groups and renders them in the UI
+   * Build the tab list for the current window, or for all windows in the all-windows view
+   * Existing tab and group elements are reused and only patched where they differ
    */
   static async build() {
     // Don't rebuild while dragging to avoid UI conflicts
-    if (!DnD.dragging) {
-      const currentWindow = await chrome.windows.getCurrent({ populate: true });
-      WindowId = currentWindow.id;
+    if (DnD.dragging) return;
+    
+    const buildId = ++Tabs.buildId;
+    const currentWindow = await chrome.windows.getCurrent({ populate: true });
+    WindowId = currentWindow.id;
+    
+    const windows = WindowSections.enabled
+      ? await chrome.windows.getAll({ populate: true, windowTypes: ["normal"] })
+      : [currentWindow];
+    const allTabs = windows.flatMap((windowInfo) => windowInfo.tabs);
+    
+    // Collect group data up front so the DOM work below runs in one go
+    const groupInfos = new Map();
+    for (const tab of allTabs) {
+      if (tab.groupId === NoGroup || groupInfos.has(tab.groupId)) continue;
       
-      const tabListContainer = document.createElement("div");
-      tabListContainer.className = "tab-list";
+      const groupInfo = await Groups.get(tab.groupId);
+      if (!groupInfo) {
+        // Group doesn't exist yet, try again later
+        Tabs.scheduleSync(400);
+        return;
+      }
+      groupInfos.set(tab.groupId, groupInfo);
+    }
+    
+    if (Tree.enabled) {
+      await Tree.sync(allTabs);
+    }
+    
+    // A newer build started while we were waiting
+    if (buildId !== Tabs.buildId || DnD.dragging) return;
+    
+    if (Tree.enabled) {
+      Tree.layout(allTabs);
+    }
+    
+    if (WindowSections.enabled) {
+      WindowSections.reconcile(windows, groupInfos);
+    } else {
+      Tabs.reconcile(Tabs.getMainList(), currentWindow.tabs, groupInfos);
+    }
+    
+    Tabs.markDuplicates();
+    Search.refreshFilter().catch((error) => console.error(error));
+  }
+  
+  /**
+   * Patch a tab list so it matches the given tabs, keyed by tab and group ID
+   * @param {HTMLElement} tabList - The list element of the window
+   * @param {chrome.tabs.Tab[]} tabs - All tabs of the window, in order
+   * @param {Map<number, chrome.tabs.TabGroup>} groupInfos - Groups used by the tabs
+   */
+  static reconcile(tabList, tabs, groupInfos) {
+    const isFirstBuild = !tabList.classList.contains("tab-list");
+    const hadFocus = tabList.contains(document.activeElement);
+    tabList.classList.add("tab-list");
+    
+    // Desired top-level elements, and the tabs of each group body
+    const topElements = [];
+    const groupBodies = [];
+    const wantedTabs = new Set();
+    let activeTabElement = null;
+    let currentBody = null;
+    let lastGroupId = null;
+    
+    // In compact pin mode pinned tabs live in a favicon grid at the top
+    const pinStrip = Settings.settings.pinMode === "compact" ? Tabs.getPinStrip(tabList) : null;
+    const pinnedElements = [];
+    
+    for (const tab of tabs) {
+      const tabElement = Tabs.getOrCreateTab(tab);
+      wantedTabs.add(tabElement);
       
-      let activeTabElement = null;
-      let currentGroupElement = null;
-      let lastGroupId = null;
+      if (Tree.enabled) {
+        Tree.decorate(tabElement);
+      }
       
-      // Iterate through all tabs in the window
-      for (const tab of currentWindow.tabs) {
-        const tabGroupId = tab.groupId;
-        
-        if (tabGroupId !== NoGroup) {
-          // Tab is part of a group
-          if (lastGroupId !== tabGroupId) {
-            // New group encountered
-            const groupInfo = await Groups.get(tabGroupId);
-            if (groupInfo) {
-              lastGroupId = tabGroupId;
-              const groupElement = Groups.createGroup(groupInfo);
-              currentGroupElement = groupElement.lastElementChild; // Get group body
-              tabListContainer.appendChild(groupElement);
-            } else {
-              // Group doesn't exist, rebuild later
-              Tabs.delayRebuild();
-              return;
-            }
-          }
-          
-          const tabElement = Tabs.createTab(tab);
-          currentGroupElement.appendChild(tabElement);
-          
-          if (tab.active) {
-            activeTabElement = tabElement;
-          }
-        } else {
-          // Tab is not in a group
-          const tabElement = Tabs.createTab(tab);
-          tabListContainer.appendChild(tabElement);
-          
-          if (tab.active) {
-            activeTabElement = tabElement;
-          }
-        }
+      if (tab.active) {
+        activeTabElement = tabElement;
+      }
+      
+      // Only the favicon shows in the strip, so the row carries the tooltip
+      if (pinStrip && tab.pinned) {
+        tabElement.title = tab.title || tab.url || "";
+        pinnedElements.push(tabElement);
+        continue;
+      } else if (tabElement.hasAttribute("title")) {
+        tabElement.removeAttribute("title");
       }
       
-      // Replace old tab list with new one
-      Tabs.getMainList().replaceWith(tabListContainer);
+      if (tab.groupId === NoGroup) {
+        lastGroupId = null;
+        topElements.push(tabElement);
+        continue;
+      }
       
-      // Scroll to active tab if it exists
+      // New group encountered
+      if (lastGroupId !== tab.groupId) {
+        lastGroupId = tab.groupId;
+        const groupElement = Groups.getOrCreateGroup(groupInfos.get(tab.groupId));
+        currentBody = { body: groupElement.lastElementChild, tabs: [] };
+        groupBodies.push(currentBody);
+        topElements.push(groupElement);
+      }
+      currentBody.tabs.push(tabElement);
+    }
+    
+    // Move nodes into place, then drop what is left over
+    if (pinStrip) {
+      topElements.unshift(pinStrip);
+    }
+    Tabs.placeChildren(tabList, topElements);
+    for (const { body, tabs: bodyTabs } of groupBodies) {
+      Tabs.placeChildren(body, bodyTabs);
+    }
+    if (pinStrip) {
+      Tabs.placeChildren(pinStrip, pinnedElements);
+    } else {
+      tabList.querySelector(":scope > .pin-strip")?.remove();
+    }
+    
+    for (const tabElement of tabList.querySelectorAll(".tab-item")) {
+      if (!wantedTabs.has(tabElement)) {
+        Tabs.observer.unobserve(tabElement);
+        tabElement.remove();
+        // A tab moved to another window's section still has its row there
+        if (!document.getElementById(tabElement.id)) {
+          Tabs.info.delete(parseInt(tabElement.id.substring(4)));
+        }
+      }
+    }
+    for (const groupElement of tabList.querySelectorAll(".group-item")) {
+      if (!topElements.includes(groupElement)) {
+        groupElement.remove();
+      }
+    }
+    
+    // Scroll to this window's active tab on first build only, later builds keep the scroll position
+    if (isFirstBuild && tabs[0]?.windowId === WindowId) {
       activeTabElement?.scrollIntoViewIfNeeded(true);
     }
+    
+    // Moving a focused node drops its focus, so put it back
+    if (hadFocus && !tabList.contains(document.activeElement)) {
+      KeyNav.restoreFocus();
+    }
+  }
+  
+  /**
+   * Get the key two tabs share when they are duplicates,
+   * according to the URL comparison setting
+   * @param {string} url - The tab URL
+   * @returns {string} The comparison key
+   */
+  static getDuplicateKey(url) {
+    return getDuplicateKey(url, Settings.settings.duplicateCompare);
+  }
+  
+  /**
+   * Find the duplicate tabs to close, keeping one copy of each URL
+   * The copy kept is a grouped one, then a pinned one, then the most recently used
+   * @param {chrome.tabs.Tab[]} tabs - The tabs to look for duplicates in
+   * @returns {number[]} IDs of the tabs to close
+   */
+  static findDuplicatesToClose(tabs) {
+    const rank = (tab) => [tab.groupId !== NoGroup ? 1 : 0, tab.pinned ? 1 : 0, tab.lastAccessed || 0];
+    const isBetter = (a, b) => {
+      const rankA = rank(a);
+      const rankB = rank(b);
+      const index = rankA.findIndex((value, i) => value !== rankB[i]);
+      return index !== -1 && rankA[index] > rankB[index];
+    };
+    
+    const kept = new Map();
+    const tabsToClose = [];
+    for (const tab of tabs) {
+      const url = tab.url || tab.pendingUrl;
+      if (!url) continue;
+      
+      const key = Tabs.getDuplicateKey(url);
+      const keptTab = kept.get(key);
+      
+      if (!keptTab) {
+        kept.set(key, tab);
+      } else if (isBetter(tab, keptTab)) {
+        tabsToClose.push(keptTab.id);
+        kept.set(key, tab);
+      } else {
+        tabsToClose.push(tab.id);
+      }
+    }
+    return tabsToClose;
+  }
+  
+  /**
+   * Mark duplicate tabs soon, batching bursts of tab changes
+   */
+  static scheduleDuplicateCheck() {
+    clearTimeout(Tabs.duplicateTimeoutId);
+    Tabs.duplicateTimeoutId = setTimeout(Tabs.markDuplicates, 100);
+  }
+  
+  /**
+   * Badge the tabs whose URL is open more than once in the same window
+   */
+  static markDuplicates() {
+    clearTimeout(Tabs.duplicateTimeoutId);
+    
+    const tabElements = Main.firstElementChild.querySelectorAll(".tab-item");
+    const counts = new Map();
+    const keys = new Map();
+    
+    for (const tabElement of tabElements) {
+      const tabInfo = Tabs.info.get(parseInt(tabElement.id.substring(4)));
+      const url = tabInfo?.url || tabInfo?.pendingUrl;
+      if (!url) continue;
+      
+      const key = `${tabInfo.windowId} ${Tabs.getDuplicateKey(url)}`;
+      keys.set(tabElement, key);
+      counts.set(key, (counts.get(key) || 0) + 1);
+    }
+    
+    for (const tabElement of tabElements) {
+      Tabs.setDuplicateBadge(tabElement, counts.get(keys.get(tabElement)) || 0);
+    }
+  }
+  
+  /**
+   * Show or hide the duplicate badge of a tab
+   * @param {HTMLElement} tabElement - The tab DOM element
+   * @param {number} count - How many tabs share the tab's URL
+   */
+  static setDuplicateBadge(tabElement, count) {
+    const isDuplicate = count > 1;
+    tabElement.classList.toggle("tab-duplicate", isDuplicate);
+    tabElement.dataset.duplicates = isDuplicate ? count : "";
+    
+    // The badge is added when the row is mounted
+    if (tabElement.classList.contains("tab-shell")) return;
+    
+    let badge = tabElement.querySelector(".duplicate-badge");
+    if (!isDuplicate) {
+      badge?.remove();
+      return;
+    }
+    
+    if (!badge) {
+      badge = document.createElement("span");
+      badge.className = "duplicate-badge";
+      tabElement.querySelector(".close-btn").before(badge);
+    }
+    badge.textContent = count;
+    badge.title = chrome.i18n.getMessage("duplicateBadge", [count]);
+  }
+  
+  /**
+   * Get the pinned tab strip of a tab list, creating it if needed
+   * @param {HTMLElement} tabList - The tab list element
+   * @returns {HTMLElement} The pin strip element
+   */
+  static getPinStrip(tabList) {
+    let pinStrip = tabList.querySelector(":scope > .pin-strip");
+    
+    if (!pinStrip) {
+      pinStrip = document.createElement("div");
+      pinStrip.className = "pin-strip";
+      DnD.initPinStripDrop(pinStrip);
+    }
+    return pinStrip;
+  }
+  
+  /**
+   * Get the element for a tab, patching an existing one or creating it
+   * @param {chrome.tabs.Tab} tabInfo - Tab information
+   * @returns {HTMLElement} The tab element
+   */
+  static getOrCreateTab(tabInfo) {
+    const tabElement = document.getElementById(`tab-${tabInfo.id}`);
+    
+    if (!tabElement) {
+      return Tabs.createTab(tabInfo);
+    }
+    
+    Tabs.patchTab(tabElement, tabInfo);
+    return tabElement;
+  }
+  
+  /**
+   * Update an existing tab element in place, touching only what changed
+   * @param {HTMLElement} tabElement - The tab DOM element
+   * @param {chrome.tabs.Tab} tabInfo - Updated tab information
+   */
+  static patchTab(tabElement, tabInfo) {
+    const previous = Tabs.info.get(tabInfo.id) || {};
+    Tabs.info.set(tabInfo.id, tabInfo);
+    
+    tabElement.dataset.group = tabInfo.groupId;
+    tabElement.classList.toggle("tab-active", tabInfo.active);
+    tabElement.classList.toggle("tab-pin", tabInfo.pinned);
+    
+    // Recreating the indicator restarts its animation, so only do it on change
+    if (previous.audible !== tabInfo.audible || previous.mutedInfo?.muted !== tabInfo.mutedInfo?.muted ||
+        previous.discarded !== tabInfo.discarded) {
+      Tabs.setTabState(tabInfo, tabElement);
+    }
+    
+    if (previous.status !== tabInfo.status) {
+      Tabs.setLoadState(tabElement, tabInfo, Tabs.onReloadClick);
+    }
+    
+    // Placeholder rows pick up the new data when they are mounted
+    if (tabElement.classList.contains("tab-shell")) return;
+    
+    if (previous.title !== tabInfo.title) {
+      const linkElement = tabElement.querySelector(".tab-link");
+      linkElement.title = tabInfo.title || "";
+      linkElement.textContent = tabInfo.title || "";
+    }
+    
+    if (previous.favIconUrl !== tabInfo.favIconUrl || previous.url !== tabInfo.url) {
+      tabElement.querySelector(".favicon").src = Tabs.getFaviconSrc(tabInfo);
+    }
+  }
+  
+  /**
+   * Put the given elements into a container in order, moving as few nodes as possible
+   * Children that are not in the list end up after them for the caller to remove
+   * @param {HTMLElement} container - The parent element
+   * @param {HTMLElement[]} elements - The desired children, in order
+   */
+  static placeChildren(container, elements) {
+    const currentIndex = new Map();
+    Array.from(container.children).forEach((child, index) => currentIndex.set(child, index));
+    
+    // Nodes on the longest already-ordered run stay where they are
+    const positions = elements.map((element) => currentIndex.get(element) ?? -1);
+    const keep = Tabs.longestIncreasing(positions);
+    
+    let nextElement = null;
+    for (let index = elements.length - 1; index >= 0; index--) {
+      if (!keep.has(index)) {
+        container.insertBefore(elements[index], nextElement);
+      }
+      nextElement = elements[index];
+    }
+  }
+  
+  /**
+   * Find the longest strictly increasing subsequence, ignoring negative values
+   * @param {number[]} values - Current positions of the desired elements
+   * @returns {Set<number>} Indexes into values that belong to the subsequence
+   */
+  static longestIncreasing(values) {
+    const tails = [];
+    const previous = new Array(values.length);
+    
+    for (let index = 0; index < values.length; index++) {
+      const value = values[index];
+      if (value < 0) continue;
+      
+      // Binary search for the first tail that is not smaller than value
+      let low = 0;
+      let high = tails.length;
+      while (low < high) {
+        const middle = (low + high) >> 1;
+        if (values[tails[middle]] < value) {
+          low = middle + 1;
+        } else {
+          high = middle;
+        }
+      }
+      
+      previous[index] = low > 0 ? tails[low - 1] : -1;
+      tails[low] = index;
+    }
+    
+    const result = new Set();
+    for (let index = tails[tails.length - 1] ?? -1; index >= 0; index = previous[index]) {
+      result.add(index);
+    }
+    return result;
+  }
+  
+  /**
+   * Schedule a sync of the tab list, coalescing bursts of events
+   * @param {number} delay - Milliseconds to wait before syncing
+   */
+  static scheduleSync(delay = 50) {
+    clearTimeout(Tabs.syncTimeoutId);
+    Tabs.syncTimeoutId = setTimeout(Tabs.build, delay);
+  }
+  
+  /**
+   * Handle tab move - sync the list if the move happened in a shown window
+   * @param {number} tabId - ID of the moved tab
+   * @param {object} moveInfo - Contains the windowId and indexes
+   */
+  static onMoved(tabId, moveInfo) {
+    if (WindowSections.isShown(moveInfo.windowId)) {
+      Tabs.scheduleSync();
+    }
+  }
+  
+  /**
+   * Handle tab attach - sync the list if the tab arrived in a shown window
+   * @param {number} tabId - ID of the attached tab
+   * @param {object} attachInfo - Contains the newWindowId
+   */
+  static onAttached(tabId, attachInfo) {
+    if (WindowSections.isShown(attachInfo.newWindowId)) {
+      Tabs.scheduleSync();
+    }
   }
+  
   /**
-   * Delay the rebuild of the tab list to avoid multiple rapid rebuilds
-   * Debounces rebuild calls with a 400ms delay
+   * Handle tab detach - sync the list if the tab left a shown window
+   * @param {number} tabId - ID of the detached tab
+   * @param {object} detachInfo - Contains the oldWindowId
    */
-  static delayRebuild() {
-    clearTimeout(Tabs.delayTimeoutId);
-    Tabs.delayTimeoutId = setTimeout(Tabs.build, 400);
+  static onDetached(tabId, detachInfo) {
+    if (WindowSections.isShown(detachInfo.oldWindowId)) {
+      Tabs.scheduleSync();
+    }
   }
+  
   /**
    * Create a DOM element for a single tab
+   * The element starts as an empty placeholder row; its content is
+   * mounted by mountTab once it comes near the viewport
    * @param {chrome.tabs.Tab} tabInfo - Tab information from Chrome API
    * @returns {HTMLDivElement} The created tab element
    */
@@ -159,18 +547,46 @@ class Tabs {
     tabElement.id = `tab-${tabInfo.id}`;
     tabElement.className = tabInfo.active ? "tab-item tab-active" : "tab-item";
     tabElement.dataset.group = tabInfo.groupId;
+    tabElement.tabIndex = -1;
     
     // Add pinned class if tab is pinned
     if (tabInfo.pinned) {
       tabElement.classList.add("tab-pin");
     }
     
+    // Keep selection visible across rebuilds
+    if (Tabs.selection.has(tabInfo.id)) {
+      tabElement.classList.add("tab-selected");
+    }
+    
+    tabElement.classList.add("tab-shell");
+    Tabs.info.set(tabInfo.id, tabInfo);
+    Tabs.setTabState(tabInfo, tabElement);
+    Tabs.setLoadState(tabElement, tabInfo, Tabs.onReloadClick);
+    Tabs.observer.observe(tabElement);
+    
+    return tabElement;
+  }
+  
+  /**
+   * Mount the content and listeners of a placeholder tab row
+   * @param {HTMLElement} tabElement - The tab DOM element
+   */
+  static mountTab(tabElement) {
+    const tabInfo = Tabs.info.get(parseInt(tabElement.id.substring(4)));
+    if (!tabInfo || !tabElement.classList.contains("tab-shell")) return;
+    
+    tabElement.classList.remove("tab-shell");
+    
     // Build tab structure
+    if (Tree.enabled) {
+      tabElement.appendChild(Tree.createTwisty());
+    }
     tabElement.appendChild(Tabs.createFavicon(tabInfo));
     tabElement.appendChild(Tabs.createLink(tabInfo));
     tabElement.appendChild(Tabs.createCloseBtn());
     
-    // Register event listeners
+    // Register event listeners (re-adding the same listener is a no-op)
     tabElement.addEventListener("click", Tabs.onTabClick);
     tabElement.addEventListener("dblclick", Tabs.onTabDoubleClick);
     tabElement.addEventListener("auxclick", Tabs.onTabMiddleClick);
@@ -178,18 +594,49 @@ class Tabs {
     
     // Set audio/mute state indicators
     Tabs.setTabState(tabInfo, tabElement);
+    Tabs.setLoadState(tabElement, tabInfo, Tabs.onReloadClick);
+    Tabs.setDuplicateBadge(tabElement, parseInt(tabElement.dataset.duplicates) || 0);
     
     // Enable drag and drop
     DnD.initTabDrag(tabElement);
+  }
+  
+  /**
+   * Release the content of a tab row that scrolled far out of view
+   * @param {HTMLElement} tabElement - The tab DOM element
+   */
+  static unmountTab(tabElement) {
+    if (tabElement.classList.contains("tab-shell")) return;
     
-    return tabElement;
+    tabElement.replaceChildren();
+    tabElement.classList.add("tab-shell");
+  }
+  
+  /**
+   * Mount rows entering the viewport margin and unmount rows leaving it
+   * @param {IntersectionObserverEntry[]} entries - Observed visibility changes
+   */
+  static onRowsIntersect(entries) {
+    for (const entry of entries) {
+      if (entry.isIntersecting) {
+        Tabs.mountTab(entry.target);
+      } else {
+        Tabs.unmountTab(entry.target);
+      }
+    }
   }
   /**
    * Insert a new tab into the tab list at the correct position
    * @param {chrome.tabs.Tab} tabInfo - The tab to insert
    */
   static insertTab(tabInfo) {
-    const mainList = Tabs.getMainList();
+    const mainList = WindowSections.getList(tabInfo.windowId);
+    
+    // The window's section doesn't exist yet
+    if (!mainList) {
+      Tabs.scheduleSync();
+      return;
+    }
     
     if (tabInfo.groupId === NoGroup) {
       // Tab is not in a group
@@ -237,7 +684,7 @@ class Tabs {
     }
     
     // Fallback: rebuild entire tab list
-    Tabs.delayRebuild();
+    Tabs.scheduleSync();
   }
   /**
    * Update a tab's group membership
@@ -247,7 +694,7 @@ class Tabs {
    */
   static updateGroup(tabElement, tabInfo, newGroupId) {
     tabElement.dataset.group = newGroupId;
-    Tabs.delayRebuild();
+    Tabs.scheduleSync();
   }
   /**
    * Fallback handler when favicon fails to load
@@ -269,24 +716,33 @@ class Tabs {
     });
   }
   /**
-   * Create a favicon image element for a tab
+   * Get the favicon image source for a tab
    * @param {chrome.tabs.Tab} tabInfo - Tab information
-   * @returns {HTMLImageElement} The favicon image element
+   * @returns {string} The image URL
    */
-  static createFavicon(tabInfo) {
-    const faviconImg = document.createElement("img");
-    
+  static getFaviconSrc(tabInfo) {
     // Use direct favicon URL if available and side panel is open
     if (SidePanelOpen && tabInfo.favIconUrl && tabInfo.favIconUrl.startsWith("http")) {
-      faviconImg.src = tabInfo.favIconUrl;
-    } else if (tabInfo.url) {
-      // Use Chrome's internal favicon API
-      faviconImg.src = `/_favicon/?pageUrl=${encodeURIComponent(tabInfo.url)}&size=32`;
-    } else {
-      // Default tab icon
-      faviconImg.src = "img/tab.svg";
+      return tabInfo.favIconUrl;
     }
     
+    // Use Chrome's internal favicon API
+    if (tabInfo.url) {
+      return `/_favicon/?pageUrl=${encodeURIComponent(tabInfo.url)}&size=32`;
+    }
+    
+    // Default tab icon
+    return "img/tab.svg";
+  }
+  
+  /**
+   * Create a favicon image element for a tab
+   * @param {chrome.tabs.Tab} tabInfo - Tab information
+   * @returns {HTMLImageElement} The favicon image element
+   */
+  static createFavicon(tabInfo) {
+    const faviconImg = document.createElement("img");
+    faviconImg.src = Tabs.getFaviconSrc(tabInfo);
     faviconImg.className = "favicon";
     faviconImg.addEventListener("error", Tabs.faviconFallback);
     
@@ -309,11 +765,16 @@ class Tabs {
     return linkElement;
   }
   /**
-   * Set the audio/mute state indicator for a tab
+   * Set the discarded style and audio/mute state indicator for a tab
    * @param {chrome.tabs.Tab} tabInfo - Tab information
    * @param {HTMLElement} tabElement - The tab DOM element
    */
   static setTabState(tabInfo, tabElement) {
+    tabElement.classList.toggle("tab-discarded", !!tabInfo.discarded);
+    
+    // The indicator is added when the row is mounted
+    if (tabElement.classList.contains("tab-shell")) return;
+    
     let isAudibleAnimated = false;
     let iconPath = null;
     
@@ -355,6 +816,93 @@ class Tabs {
       existingIndicator?.remove();
     }
   }
+  /**
+   * Set the loading spinner or load error marker for a tab or search result
+   * A failed tab gets a reload button that shows the error as its tooltip
+   * @param {HTMLElement} element - The tab or search result element
+   * @param {chrome.tabs.Tab} tabInfo - Tab information
+   * @param {Function} onReloadClick - Click handler for the reload button
+   */
+  static setLoadState(element, tabInfo, onReloadClick) {
+    const error = Tabs.errors.get(tabInfo.id);
+    element.classList.toggle("tab-loading", tabInfo.status === "loading" && !error);
+    element.classList.toggle("tab-error", !!error);
+    
+    // The reload button is added when the row is mounted
+    if (element.classList.contains("tab-shell")) return;
+    
+    let reloadBtn = element.querySelector(".reload-btn");
+    if (!error) {
+      reloadBtn?.remove();
+      return;
+    }
+    
+    if (!reloadBtn) {
+      reloadBtn = document.createElement("img");
+      reloadBtn.src = "img/refresh.svg";
+      reloadBtn.className = "reload-btn";
+      reloadBtn.addEventListener("click", onReloadClick);
+      reloadBtn.addEventListener("dblclick", stopEvent);
+      element.querySelector(".close-btn").before(reloadBtn);
+    }
+    reloadBtn.title = chrome.i18n.getMessage("tabLoadError", [error]);
+  }
+  
+  /**
+   * Pick up load errors recorded by the service worker and update the affected tabs
+   * Only failed navigations are covered: renderer crashes aren't reported to extensions
+   * @param {object} changes - Changed session storage keys
+   */
+  static onLoadErrorsChanged(changes) {
+    if (!changes.loadErrors) return;
+    
+    const loadErrors = changes.loadErrors.newValue || {};
+    const tabIds = new Set([...Tabs.errors.keys(), ...Object.keys(loadErrors).map(Number)]);
+    
+    for (const tabId of tabIds) {
+      const error = loadErrors[tabId];
+      if (error === Tabs.errors.get(tabId)) continue;
+      
+      if (error) {
+        Tabs.errors.set(tabId, error);
+      } else {
+        Tabs.errors.delete(tabId);
+      }
+      Tabs.refreshLoadState(tabId);
+    }
+  }
+  
+  /**
+   * Update the load state of a tab's row and search result
+   * @param {number} tabId - The tab ID
+   */
+  static refreshLoadState(tabId) {
+    chrome.tabs.get(tabId, function (tab) {
+      if (chrome.runtime.lastError || !tab) return;
+      
+      const tabElement = document.getElementById(`tab-${tabId}`);
+      if (tabElement) {
+        Tabs.setLoadState(tabElement, tab, Tabs.onReloadClick);
+      }
+      
+      const searchResultElement = document.getElementById(`search-${tabId}`);
+      if (searchResultElement) {
+        Tabs.setLoadState(searchResultElement, tab, Search.onReloadClick);
+      }
+    });
+  }
+  
+  /**
+   * Handle reload button click on a tab that failed to load
+   * @param {MouseEvent} event - The click event
+   */
+  static onReloadClick(event) {
+    event.preventDefault();
+    event.stopPropagation();
+    
+    const tabId = parseInt(event.currentTarget.parentElement.id.substring(4));
+    chrome.tabs.reload(tabId);
+  }
   /**
    * Create the close button for a tab
    * @returns {HTMLImageElement} The close button element
@@ -369,14 +917,148 @@ class Tabs {
   }
   /**
    * Handle tab click - activate the clicked tab
+   * Ctrl/Cmd-click toggles selection, Shift-click selects a range
    * @param {MouseEvent} event - The click event
    */
   static onTabClick(event) {
     event.preventDefault();
-    const tabId = parseInt(event.currentTarget.id.substring(4));
-    chrome.tabs.update(tabId, { active: true });
-  }
-  /**
+    const tabElement = event.currentTarget;
+    const tabId = parseInt(tabElement.id.substring(4));
+    
+    if (event.ctrlKey || event.metaKey) {
+      Tabs.toggleSelect(tabElement);
+      return;
+    }
+    
+    if (event.shiftKey) {
+      Tabs.selectRange(tabElement);
+      return;
+    }
+    
+    Tabs.clearSelection();
+    Tabs.selectionAnchor = tabId;
+    Tabs.activate(tabId);
+  }
+  
+  /**
+   * Switch to a tab, bringing its window to the front if it isn't this one
+   * @param {number} tabId - The tab to activate
+   */
+  static activate(tabId) {
+    chrome.tabs.update(tabId, { active: true });
+    
+    const windowId = Tabs.info.get(tabId)?.windowId;
+    if (windowId !== undefined && windowId !== WindowId) {
+      chrome.windows.update(windowId, { focused: true });
+    }
+  }
+  
+  /**
+   * Get the tabs that still exist for a list of IDs
+   * @param {number[]} tabIds - Tab IDs
+   * @returns {Promise<chrome.tabs.Tab[]>} The tabs, in the given order
+   */
+  static async getTabs(tabIds) {
+    const allTabs = await chrome.tabs.query({});
+    const tabsById = new Map(allTabs.map((tab) => [tab.id, tab]));
+    return tabIds.map((tabId) => tabsById.get(tabId)).filter(Boolean);
+  }
+  
+  /**
+   * Tell the service worker about tabs the panel opened itself, like restored sessions or stashes
+   * With "switch to existing tab" on, it would otherwise close every new tab whose page is already open
+   * @param {number[]} tabIds - The opened tabs
+   */
+  static skipDuplicateCheck(tabIds) {
+    chrome.runtime.sendMessage({ type: "Skip-Duplicate-Check", tabIds: tabIds }).catch((error) => console.error(error));
+  }
+  
+  /**
+   * Add or remove a tab element from the selection
+   * @param {HTMLElement} tabElement - The tab DOM element
+   * @param {boolean} selected - Whether the tab should be selected
+   */
+  static setSelected(tabElement, selected) {
+    const tabId = parseInt(tabElement.id.substring(4));
+    
+    if (selected) {
+      Tabs.selection.add(tabId);
+      tabElement.classList.add("tab-selected");
+    } else {
+      Tabs.selection.delete(tabId);
+      tabElement.classList.remove("tab-selected");
+    }
+  }
+  
+  /**
+   * Seed an empty selection with the active tab, like the browser tab strip does
+   */
+  static seedSelection() {
+    if (Tabs.selection.size > 0) return;
+    
+    const activeTab = WindowSections.getList(WindowId)?.querySelector(".tab-active");
+    if (activeTab) {
+      Tabs.setSelected(activeTab, true);
+      Tabs.selectionAnchor = parseInt(activeTab.id.substring(4));
+    }
+  }
+  
+  /**
+   * Toggle the selection state of a tab (Ctrl/Cmd-click)
+   * @param {HTMLElement} tabElement - The clicked tab element
+   */
+  static toggleSelect(tabElement) {
+    Tabs.seedSelection();
+    Tabs.setSelected(tabElement, !tabElement.classList.contains("tab-selected"));
+    Tabs.selectionAnchor = parseInt(tabElement.id.substring(4));
+  }
+  
+  /**
+   * Select all tabs between the selection anchor and the clicked tab (Shift-click)
+   * @param {HTMLElement} tabElement - The clicked tab element
+   */
+  static selectRange(tabElement) {
+    Tabs.seedSelection();
+    
+    const allTabs = Array.from(Tabs.getMainList().querySelectorAll(".tab-item"));
+    const anchorElement = document.getElementById(`tab-${Tabs.selectionAnchor}`);
+    const anchorIndex = anchorElement ? allTabs.indexOf(anchorElement) : -1;
+    const clickedIndex = allTabs.indexOf(tabElement);
+    
+    if (anchorIndex === -1) {
+      Tabs.setSelected(tabElement, true);
+      Tabs.selectionAnchor = parseInt(tabElement.id.substring(4));
+      return;
+    }
+    
+    // Replace the selection with the range, keeping the anchor
+    Tabs.clearSelection();
+    const start = Math.min(anchorIndex, clickedIndex);
+    const end = Math.max(anchorIndex, clickedIndex);
+    for (let index = start; index <= end; index++) {
+      Tabs.setSelected(allTabs[index], true);
+    }
+  }
+  
+  /**
+   * Clear the selection (the anchor is kept)
+   */
+  static clearSelection() {
+    for (const element of document.querySelectorAll(".tab-selected")) {
+      element.classList.remove("tab-selected");
+    }
+    Tabs.selection.clear();
+  }
+  
+  /**
+   * Get the selected tab IDs in list order
+   * @returns {number[]} Selected tab IDs
+   */
+  static getSelectedIds() {
+    return Array.from(Tabs.getMainList().querySelectorAll(".tab-selected"))
+      .map((element) => parseInt(element.id.substring(4)));
+  }
+  /**
    * Handle tab double click - close tab if enabled in settings
    * @param {MouseEvent} event - The double click event
    */
@@ -384,7 +1066,7 @@ class Tabs {
     if (Settings.closeByDoubleClick) {
       event.preventDefault();
       const tabId = parseInt(event.currentTarget.id.substring(4));
-      chrome.tabs.remove(tabId);
+      Undo.closeTabs([tabId]);
     }
   }
   /**
@@ -395,7 +1077,7 @@ class Tabs {
     if (event.button === 1) {
       event.preventDefault();
       const tabId = parseInt(event.currentTarget.id.substring(4));
-      chrome.tabs.remove(tabId);
+      Undo.closeTabs([tabId]);
     }
   }
   /**
@@ -406,24 +1088,45 @@ class Tabs {
     event.preventDefault();
     event.stopPropagation();
     const tabId = parseInt(event.currentTarget.parentElement.id.substring(4));
-    chrome.tabs.remove(tabId);
+    Undo.closeTabs([tabId]);
   }
   /**
    * Handle tab removal - remove tab element from DOM
    * @param {number} tabId - ID of the removed tab
    */
   static onTabRemoved(tabId) {
+    Tabs.selection.delete(tabId);
+    Tabs.info.delete(tabId);
+    Tabs.errors.delete(tabId);
+    
     const tabElement = document.getElementById(`tab-${tabId}`);
     if (tabElement) {
+      Tabs.observer.unobserve(tabElement);
       tabElement.remove();
+      Tabs.scheduleDuplicateCheck();
+      WindowSections.updateCounts();
     }
   }
-  static onActivated(a) {
-    if (a.windowId == WindowId) {
-      for (let b of document.querySelectorAll(".tab-active"))
-        b.classList.remove("tab-active");
-      if ((a = document.getElementById(`tab-${a.tabId}`)))
-        (a.classList.add("tab-active"), a.scrollIntoViewIfNeeded(true));
+  /**
+   * Handle tab activation - move the active mark within the tab's window
+   * @param {object} activeInfo - Contains tabId and windowId
+   */
+  static onActivated(activeInfo) {
+    const tabList = WindowSections.getList(activeInfo.windowId);
+    if (!tabList) return;
+    
+    for (const element of tabList.querySelectorAll(".tab-active")) {
+      element.classList.remove("tab-active");
+    }
+    
+    const tabElement = document.getElementById(`tab-${activeInfo.tabId}`);
+    if (tabElement) {
+      tabElement.classList.add("tab-active");
+      
+      // Other windows' sections don't pull the list along
+      if (activeInfo.windowId === WindowId) {
+        tabElement.scrollIntoViewIfNeeded(true);
+      }
     }
   }
   /**
@@ -431,10 +1134,17 @@ class Tabs {
    * @param {chrome.tabs.Tab} tab - The newly created tab
    */
   static onCreated(tab) {
-    if (tab.windowId === WindowId) {
+    if (WindowSections.isShown(tab.windowId)) {
       const existingTab = document.getElementById(`tab-${tab.id}`);
       if (!existingTab) {
         Tabs.insertTab(tab);
+        Tabs.scheduleDuplicateCheck();
+        WindowSections.updateCounts();
+      }
+      
+      // Nest the new tab below its opener
+      if (Tree.enabled) {
+        Tabs.scheduleSync();
       }
     }
   }
@@ -445,28 +1155,34 @@ class Tabs {
    * @param {chrome.tabs.Tab} tab - Complete tab information
    */
   static onUpdated(tabId, changeInfo, tab) {
-    if (tab.windowId !== WindowId) return;
+    if (!WindowSections.isShown(tab.windowId)) return;
     
     const tabElement = document.getElementById(`tab-${tabId}`);
     if (!tabElement) {
       // Tab doesn't exist in DOM, rebuild
-      Tabs.delayRebuild();
+      Tabs.scheduleSync();
       return;
     }
     
-    // Update title if changed
-    if (changeInfo.title || (changeInfo.url && tab.title)) {
-      const linkElement = tabElement.querySelector(".tab-link");
-      linkElement.title = tab.title;
-      linkElement.textContent = tab.title;
-    }
+    // Placeholder rows pick up the latest data when they are mounted
+    Tabs.info.set(tabId, tab);
+    const isMounted = !tabElement.classList.contains("tab-shell");
     
-    // Update favicon if changed
-    if (changeInfo.favIconUrl && tab.favIconUrl.startsWith("http")) {
-      tabElement.querySelector(".favicon").src = changeInfo.favIconUrl;
-    } else if (changeInfo.url) {
-      tabElement.querySelector(".favicon").src = 
-        `/_favicon/?pageUrl=${encodeURIComponent(changeInfo.url)}&size=32`;
+    if (isMounted) {
+      // Update title if changed
+      if (changeInfo.title || (changeInfo.url && tab.title)) {
+        const linkElement = tabElement.querySelector(".tab-link");
+        linkElement.title = tab.title;
+        linkElement.textContent = tab.title;
+      }
+      
+      // Update favicon if changed
+      if (changeInfo.favIconUrl && tab.favIconUrl.startsWith("http")) {
+        tabElement.querySelector(".favicon").src = changeInfo.favIconUrl;
+      } else if (changeInfo.url) {
+        tabElement.querySelector(".favicon").src = 
+          `/_favicon/?pageUrl=${encodeURIComponent(changeInfo.url)}&size=32`;
+      }
     }
     
     // Update pinned state
@@ -476,13 +1192,29 @@ class Tabs {
       } else {
         tabElement.classList.remove("tab-pin");
       }
+      
+      // Move the tab in or out of the compact pin strip
+      if (Settings.settings.pinMode === "compact") {
+        Tabs.scheduleSync();
+      }
     }
     
-    // Update audio/mute state
-    if (changeInfo.audible !== undefined || changeInfo.mutedInfo !== undefined) {
+    // Update discarded and audio/mute state
+    if (changeInfo.audible !== undefined || changeInfo.mutedInfo !== undefined ||
+        changeInfo.discarded !== undefined) {
       Tabs.setTabState(tab, tabElement);
     }
     
+    // Update loading state
+    if (changeInfo.status !== undefined) {
+      Tabs.setLoadState(tabElement, tab, Tabs.onReloadClick);
+    }
+    
+    // The new URL may start or end a duplicate
+    if (changeInfo.url) {
+      Tabs.scheduleDuplicateCheck();
+    }
+    
     // Update group membership
     if (changeInfo.groupId !== undefined) {
       Tabs.updateGroup(tabElement, tab, changeInfo.groupId);
@@ -498,6 +1230,20 @@ class Tabs {
  * Manages drag and drop functionality for tabs and tab groups
  */
 class DnD {
+  /**
+   * Accept links and text dragged in from web pages and other apps
+   * The rows have their own drop handlers, the panel takes drops on empty space
+   */
+  static init() {
+    // Enter/leave pairs seen while something is dragged in from outside
+    DnD.externalDepth = 0;
+    
+    Main.addEventListener("dragenter", DnD.externalDragEnter);
+    Main.addEventListener("dragleave", DnD.externalDragLeave);
+    Main.addEventListener("dragover", DnD.externalDragOver);
+    Main.addEventListener("drop", DnD.externalDrop);
+  }
+  
   /**
    * Initialize drag functionality for a tab element
    * @param {HTMLElement} tabElement - The tab element to make draggable
@@ -525,10 +1271,22 @@ class DnD {
     groupElement.addEventListener("dragleave", DnD.dragLeave);
   }
   /**
-   * Insert a fake drop zone at the bottom of the tab list
+   * Make the pin strip accept drops after its last tab
+   * @param {HTMLElement} pinStrip - The pin strip element
+   */
+  static initPinStripDrop(pinStrip) {
+    pinStrip.addEventListener("drop", DnD.drop);
+    pinStrip.addEventListener("dragenter", DnD.dragEnter);
+    pinStrip.addEventListener("dragover", DnD.dragOver);
+    pinStrip.addEventListener("dragleave", DnD.dragLeave);
+  }
+  
+  /**
+   * Insert a fake drop zone at the bottom of a tab list
    * Used during drag operations to allow dropping at the end
+   * @param {HTMLElement} tabList - The list of the window being dragged in
    */
-  static insertFakeBottom() {
+  static insertFakeBottom(tabList) {
     if (!DnD.fakeBottom) {
       const fakeElement = document.createElement("div");
       fakeElement.className = "drop-fake-bottom drop-zone";
@@ -538,7 +1296,7 @@ class DnD {
       fakeElement.addEventListener("dragleave", DnD.dragLeave);
       DnD.fakeBottom = fakeElement;
     }
-    Tabs.getMainList().appendChild(DnD.fakeBottom);
+    tabList.appendChild(DnD.fakeBottom);
   }
   /**
    * Handle drag start for a tab
@@ -551,16 +1309,17 @@ class DnD {
     const draggedElement = event.currentTarget;
     draggedElement.classList.add("dragging");
     
-    // Add drop zones to all tabs and group headers
-    const dropTargets = document.querySelectorAll(".tab-item, .group-header-outer");
+    // Add drop zones to all tabs, group headers and window headers
+    const dropTargets = document.querySelectorAll(".tab-item, .group-header-outer, .window-header");
     for (const target of dropTargets) {
       target.classList.add("drop-zone");
     }
     
     // Insert fake bottom drop zone
     requestAnimationFrame(() => {
-      DnD.insertFakeBottom();
+      DnD.insertFakeBottom(draggedElement.closest(".tab-list"));
     });
+    DnD.showWindowBar(draggedElement);
     
     // Set drag data
     const dataTransfer = event.dataTransfer;
@@ -568,6 +1327,15 @@ class DnD {
     dataTransfer.dropEffect = "move";
     dataTransfer.effectAllowed = "move";
     dataTransfer.setDragImage(draggedElement, 10, 10);
+    
+    // Other apps get the tab as a link, and as its title followed by the URL
+    const tabInfo = Tabs.info.get(parseInt(draggedElement.id.substring(4)));
+    const url = tabInfo?.url || tabInfo?.pendingUrl;
+    if (url) {
+      dataTransfer.setData("text/uri-list", url);
+      dataTransfer.setData("text/plain", tabInfo.title ? `${tabInfo.title}\n${url}` : url);
+      dataTransfer.effectAllowed = "all";
+    }
   }
   /**
    * Handle drag start for a tab group
@@ -581,8 +1349,8 @@ class DnD {
     const draggedGroup = draggedHeader.parentElement;
     draggedHeader.classList.add("dragging", "collapse");
     
-    // Add drop zones to all tabs and group headers
-    const dropTargets = document.querySelectorAll(".tab-item, .group-header-outer");
+    // Add drop zones to all tabs, group headers and window headers
+    const dropTargets = document.querySelectorAll(".tab-item, .group-header-outer, .window-header");
     for (const target of dropTargets) {
       target.classList.add("drop-zone");
     }
@@ -600,8 +1368,9 @@ class DnD {
       for (const group of document.querySelectorAll(".group-item")) {
         group.classList.add("collapse");
       }
-      DnD.insertFakeBottom();
+      DnD.insertFakeBottom(draggedGroup.closest(".tab-list"));
     });
+    DnD.showWindowBar(draggedGroup);
     
     // Set drag data
     const dataTransfer = event.dataTransfer;
@@ -616,18 +1385,24 @@ class DnD {
    * @returns {boolean} false to prevent default
    */
   static dragOver(event) {
-    if (event.dataTransfer.types[0] === "tab-id") {
+    if (event.dataTransfer.types.includes("tab-id")) {
       event.preventDefault();
       event.dataTransfer.dropEffect = "move";
       return false;
     }
+    
+    if (DnD.isExternal(event.dataTransfer)) {
+      event.preventDefault();
+      event.dataTransfer.dropEffect = "copy";
+      return false;
+    }
   }
   /**
    * Handle drag enter - highlight potential drop target
    * @param {DragEvent} event - The dragenter event
    */
   static dragEnter(event) {
-    if (event.dataTransfer.types[0] === "tab-id") {
+    if (event.dataTransfer.types.includes("tab-id") || DnD.isExternal(event.dataTransfer)) {
       this.classList.add("drag-over");
     }
   }
@@ -637,10 +1412,187 @@ class DnD {
    * @param {DragEvent} event - The dragleave event
    */
   static dragLeave(event) {
-    if (event.dataTransfer.types[0] === "tab-id") {
+    if (event.dataTransfer.types.includes("tab-id") || DnD.isExternal(event.dataTransfer)) {
       this.classList.remove("drag-over");
     }
   }
+  
+  /**
+   * Check whether a drag carries links or text from outside the tab list
+   * @param {DataTransfer} dataTransfer - The drag data
+   * @returns {boolean} True for links and text that can be opened as tabs
+   */
+  static isExternal(dataTransfer) {
+    const types = dataTransfer.types;
+    return !types.includes("tab-id") && (types.includes("text/uri-list") || types.includes("text/plain"));
+  }
+  
+  /**
+   * Mark the rows as drop zones when a link or text is dragged into the panel
+   * @param {DragEvent} event - The dragenter event
+   */
+  static externalDragEnter(event) {
+    if (!DnD.isExternal(event.dataTransfer) || Main.classList.contains("search-on")) return;
+    
+    if (DnD.externalDepth++ === 0) {
+      for (const target of document.querySelectorAll(".tab-item, .group-header-outer, .window-header")) {
+        target.classList.add("drop-zone");
+      }
+    }
+  }
+  
+  /**
+   * Clear the drop zones once an outside drag has left the panel
+   * @param {DragEvent} event - The dragleave event
+   */
+  static externalDragLeave(event) {
+    if (DnD.externalDepth === 0 || !DnD.isExternal(event.dataTransfer)) return;
+    
+    if (--DnD.externalDepth === 0) {
+      DnD.clearExternalDrag();
+    }
+  }
+  
+  /**
+   * Allow dropping links and text on the empty space around the rows
+   * @param {DragEvent} event - The dragover event
+   */
+  static externalDragOver(event) {
+    if (DnD.externalDepth > 0 && DnD.isExternal(event.dataTransfer)) {
+      event.preventDefault();
+      event.dataTransfer.dropEffect = "copy";
+    }
+  }
+  
+  /**
+   * Handle a link or text dropped on empty space - open it at the end of the window
+   * @param {DragEvent} event - The drop event
+   */
+  static externalDrop(event) {
+    if (DnD.externalDepth === 0 || !DnD.isExternal(event.dataTransfer)) return;
+    
+    event.preventDefault();
+    DnD.clearExternalDrag();
+    
+    const tabList = event.target.closest(".tab-list");
+    DnD.openDropped(event.dataTransfer, null, tabList ? WindowSections.getWindowId(tabList) : WindowId);
+  }
+  
+  /**
+   * Remove the drop zones of an outside drag
+   */
+  static clearExternalDrag() {
+    DnD.externalDepth = 0;
+    for (const target of document.querySelectorAll(".drop-zone, .drag-over")) {
+      target.classList.remove("drop-zone", "drag-over");
+    }
+  }
+  
+  /**
+   * Get what a drag from outside should open
+   * Every line that is a link is opened, text without any links is searched for
+   * @param {DataTransfer} dataTransfer - The drag data
+   * @returns {{urls: string[], query: string|null}} URLs to open, or text to search for
+   */
+  static parseDropped(dataTransfer) {
+    const uriList = dataTransfer.getData("text/uri-list");
+    const text = (uriList || dataTransfer.getData("text/plain")).trim();
+    
+    // Lines starting with # are comments in a URI list
+    const lines = text.split(/\r?\n/)
+      .map((line) => line.trim())
+      .filter((line) => line && !(uriList && line.startsWith("#")));
+    const urls = lines.map(DnD.toUrl).filter((url) => url);
+    
+    if (urls.length > 0) {
+      return { urls: urls, query: null };
+    }
+    return { urls: [], query: !uriList && lines.length > 0 ? lines.join(" ") : null };
+  }
+  
+  /**
+   * Turn dropped text into a URL that can be opened in a tab
+   * Bare host names are links the way they'd be typed in the address bar:
+   * localhost or an IP address get http, lowercase names ending in a label of
+   * letters (example.com/page, foo.gg) get https; anything else, like
+   * README.md or v1.2.3, is searched for instead
+   * @param {string} text - One line of dropped text
+   * @returns {string|null} The URL, or null if the text isn't one
+   */
+  static toUrl(text) {
+    try {
+      const url = new URL(text);
+      if (["http:", "https:", "chrome:", "about:"].includes(url.protocol)) {
+        return url.href;
+      }
+    } catch {
+      // Not an absolute URL
+    }
+    
+    const host = text.match(/^([^\s/?#:]+)(?::\d+)?(?:[/?#]\S*)?$/)?.[1];
+    if (!host) return null;
+    
+    if (host === "localhost" || /^\d{1,3}(\.\d{1,3}){3}$/.test(host)) {
+      return `http://${text}`;
+    }
+    return /^([a-z\d-]+\.)+[a-z]{2,}$/.test(host) ? `https://${text}` : null;
+  }
+  
+  /**
+   * Open dropped links or text as new tabs before the drop target
+   * Tabs dropped on a tab inside a group join that group
+   * @param {DataTransfer} dataTransfer - The drag data
+   * @param {HTMLElement|null} dropTarget - The tab, group or pin strip dropped on, or null for the window end
+   * @param {number} windowId - The window to open the tabs in
+   */
+  static async openDropped(dataTransfer, dropTarget, windowId) {
+    const { urls, query } = DnD.parseDropped(dataTransfer);
+    if (urls.length === 0 && !query) return;
+    
+    // Dropping on the pin strip itself opens after the pinned tabs
+    if (dropTarget?.classList.contains("pin-strip")) {
+      dropTarget = dropTarget.nextElementSibling;
+    }
+    
+    let index = -1;
+    let groupId = NoGroup;
+    if (dropTarget) {
+      const isGroup = dropTarget.classList.contains("group-item");
+      const targetTab = isGroup ? dropTarget.querySelector(".tab-item") : dropTarget;
+      index = Array.prototype.indexOf.call(dropTarget.closest(".tab-list").querySelectorAll(".tab-item"), targetTab);
+      if (!isGroup && Groups.isInGroup(dropTarget)) {
+        groupId = parseInt(dropTarget.dataset.group);
+      }
+    }
+    
+    try {
+      const tabIds = [];
+      if (query) {
+        const tab = await chrome.tabs.create({ windowId: windowId, index: index });
+        await chrome.search.query({ text: query, tabId: tab.id });
+        tabIds.push(tab.id);
+      }
+      for (const url of urls) {
+        const tab = await chrome.tabs.create({
+          windowId: windowId,
+          index: index,
+          url: url,
+          active: tabIds.length === 0,
+        });
+        tabIds.push(tab.id);
+        if (index !== -1) {
+          index++;
+        }
+      }
+      
+      if (groupId !== NoGroup) {
+        await chrome.tabs.group({ groupId: groupId, tabIds: tabIds });
+      }
+    } catch (error) {
+      console.error(error);
+    }
+  }
+  
   /**
    * Handle drag end for tabs - clean up drag state
    * @param {DragEvent} event - The dragend event
@@ -648,9 +1600,14 @@ class DnD {
   static dragEnd(event) {
     DnD.dragging = false;
     event.currentTarget.classList.remove("dragging");
+    DnD.hideWindowBar();
+    
+    if (DnD.isDroppedOutside(event)) {
+      DnD.moveToNewWindow(event.currentTarget.id, event.screenX, event.screenY);
+    }
     
     // Remove drop zone classes
-    const dropTargets = document.querySelectorAll(".tab-item, .group-header-outer");
+    const dropTargets = document.querySelectorAll(".tab-item, .group-header-outer, .window-header");
     for (const target of dropTargets) {
       target.classList.remove("drop-zone", "drag-over");
     }
@@ -658,6 +1615,9 @@ class DnD {
     // Remove fake bottom
     DnD.fakeBottom.classList.remove("drag-over");
     DnD.fakeBottom.remove();
+    
+    // Pick up changes that arrived while dragging
+    Tabs.scheduleSync();
   }
   /**
    * Handle drag end for groups - clean up drag state and restore group states
@@ -666,9 +1626,14 @@ class DnD {
   static groupDragEnd(event) {
     DnD.dragging = false;
     event.currentTarget.classList.remove("dragging", "collapse");
+    DnD.hideWindowBar();
+    
+    if (DnD.isDroppedOutside(event)) {
+      DnD.moveToNewWindow(event.currentTarget.parentElement.id, event.screenX, event.screenY);
+    }
     
     // Remove drop zone classes
-    const dropTargets = document.querySelectorAll(".tab-item, .group-header-outer");
+    const dropTargets = document.querySelectorAll(".tab-item, .group-header-outer, .window-header");
     for (const target of dropTargets) {
       target.classList.remove("drop-zone", "drag-over");
     }
@@ -686,6 +1651,9 @@ class DnD {
     // Remove fake bottom
     DnD.fakeBottom.classList.remove("drag-over");
     DnD.fakeBottom.remove();
+    
+    // Pick up changes that arrived while dragging
+    Tabs.scheduleSync();
   }
   /**
    * Handle drop event - move tab or group to new position
@@ -696,23 +1664,50 @@ class DnD {
     event.preventDefault();
     event.stopPropagation();
     
-    const draggedId = event.dataTransfer.getData("tab-id");
-    if (!draggedId) return false;
-    
-    const draggedElement = document.getElementById(draggedId);
-    if (!draggedElement) return false;
-    
     let dropTarget = event.currentTarget;
     // If dropping on group header, use the group container instead
     if (dropTarget.classList.contains("group-header-outer")) {
       dropTarget = dropTarget.parentElement;
     }
     
+    // Links and text from outside open as new tabs where they were dropped
+    if (DnD.isExternal(event.dataTransfer)) {
+      DnD.clearExternalDrag();
+      DnD.openDropped(event.dataTransfer, dropTarget, WindowSections.getWindowId(dropTarget.closest(".tab-list")));
+      return false;
+    }
+    
+    const draggedId = event.dataTransfer.getData("tab-id");
+    if (!draggedId) return false;
+    
+    const draggedElement = document.getElementById(draggedId);
+    if (!draggedElement) return false;
+    
     // Don't allow dropping on itself or right after itself
     if (draggedElement === dropTarget || draggedElement.nextElementSibling === dropTarget) {
       return false;
     }
     
+    // A tree parent can't be dropped into its own subtree
+    if (Tree.enabled && draggedId.startsWith("tab-") &&
+        Tree.getDescendants(parseInt(draggedId.substring(4))).includes(parseInt(dropTarget.id.substring(4)))) {
+      return false;
+    }
+    
+    // Pinned tabs in the compact strip only reorder among themselves
+    const draggedInStrip = !!draggedElement.closest(".pin-strip");
+    const targetInStrip = !!dropTarget.closest(".pin-strip");
+    if (draggedInStrip !== targetInStrip) {
+      return false;
+    }
+    
+    // Dropping on the strip itself (not on a tab) moves to its end
+    if (dropTarget.classList.contains("pin-strip")) {
+      dropTarget.classList.remove("drag-over");
+      DnD.moveTabToStripEnd(draggedElement, dropTarget);
+      return false;
+    }
+    
     // Move group or tab based on dragged element type
     if (draggedId.startsWith("group-")) {
       DnD.moveGroup(draggedId, draggedElement, dropTarget);
@@ -730,11 +1725,25 @@ class DnD {
    */
   static async moveTab(tabId, tabElement, dropTarget) {
     const isDropTargetGroup = dropTarget.classList.contains("group-item");
+    const numericTabId = parseInt(tabId.substring(4));
     let targetGroupId;
     let shouldUngroup = false;
     
-    // Move DOM element first for visual feedback
-    dropTarget.before(tabElement);
+    // In tree mode the dragged tab carries its subtree along
+    const movingIds = DnD.getMovingIds(numericTabId);
+    if (Tree.enabled) {
+      const targetRow = Tree.rows.get(parseInt(dropTarget.id.substring(4)));
+      Tree.setParent(numericTabId, targetRow?.parentId ?? null);
+    }
+    const movingElements = movingIds.map((id) => document.getElementById(`tab-${id}`));
+    
+    // Move DOM elements first for visual feedback
+    // The drop target may be in another window's section in the all-windows view
+    const sourceList = tabElement.closest(".tab-list");
+    const tabList = dropTarget.closest(".tab-list");
+    const windowId = WindowSections.getWindowId(tabList);
+    const oldIndex = Array.prototype.indexOf.call(sourceList.querySelectorAll(".tab-item"), tabElement);
+    dropTarget.before(...movingElements);
     
     // Determine if tab should be grouped/ungrouped based on drop target
     if (!isDropTargetGroup) {
@@ -746,26 +1755,55 @@ class DnD {
     }
     
     // Get new index in tab list
-    const allTabs = document.querySelectorAll(".tab-item");
-    const newIndex = Array.prototype.indexOf.call(allTabs, tabElement);
-    const numericTabId = parseInt(tabId.substring(4));
+    const allTabs = Array.from(tabList.querySelectorAll(".tab-item"));
+    const newIndex = allTabs.indexOf(tabElement);
     
-    try {
-      // Move the tab in Chrome
-      await chrome.tabs.move(numericTabId, { index: newIndex });
-      
-      // Update group membership if needed
-      if (isDropTargetGroup || shouldUngroup) {
-        await chrome.tabs.ungroup(numericTabId);
-      } else if (targetGroupId) {
-        await chrome.tabs.group({ groupId: targetGroupId, tabIds: numericTabId });
+    // Moving down within a window, the last tab goes first so earlier moves don't shift later targets
+    const moveOrder = tabList === sourceList && newIndex > oldIndex ? [...movingIds].reverse() : movingIds;
+    
+    await Undo.record("undoMoveTab", movingIds, async function () {
+      try {
+        // Move the tab(s) in Chrome
+        for (const movingId of moveOrder) {
+          const movingElement = document.getElementById(`tab-${movingId}`);
+          await chrome.tabs.move(movingId, { windowId: windowId, index: allTabs.indexOf(movingElement) });
+        }
+        
+        // Update group membership if needed
+        if (isDropTargetGroup || shouldUngroup) {
+          await chrome.tabs.ungroup(movingIds);
+        } else if (targetGroupId) {
+          await chrome.tabs.group({ groupId: targetGroupId, tabIds: movingIds });
+        }
+      } catch (error) {
+        console.error(error);
       }
-    } catch (error) {
-      console.error(error);
-    }
+    });
+    
+    Tabs.build();
+  }
+  /**
+   * Move a pinned tab to the end of the compact pin strip
+   * @param {HTMLElement} tabElement - The dragged pinned tab
+   * @param {HTMLElement} pinStrip - The pin strip element
+   */
+  static async moveTabToStripEnd(tabElement, pinStrip) {
+    pinStrip.appendChild(tabElement);
+    
+    const tabId = parseInt(tabElement.id.substring(4));
+    await Undo.record("undoMoveTab", [tabId], async function () {
+      try {
+        await chrome.tabs.move(tabId, {
+          index: pinStrip.children.length - 1,
+        });
+      } catch (error) {
+        console.error(error);
+      }
+    });
     
     Tabs.build();
   }
+  
   /**
    * Move a tab group to a new position
    * @param {string} groupId - The ID string of the group (format: "group-123")
@@ -774,9 +1812,10 @@ class DnD {
    */
   static async moveGroup(groupId, groupElement, dropTarget) {
     const numericGroupId = parseInt(groupId.substring(6));
-    const allTabs = document.querySelectorAll(".tab-item");
+    const allTabs = groupElement.closest(".tab-list").querySelectorAll(".tab-item");
     const firstTabInGroup = groupElement.querySelector(".tab-item");
-    const tabsInGroup = groupElement.querySelectorAll(".tab-item");
+    const tabIds = Array.from(groupElement.querySelectorAll(".tab-item"))
+      .map((tabElement) => parseInt(tabElement.id.substring(4)));
     
     let targetTab = dropTarget;
     // If dropping on another group, get its first tab
@@ -784,6 +1823,27 @@ class DnD {
       targetTab = dropTarget.querySelector(".tab-item");
     }
     
+    // Dropped in another window's section: move the whole group over
+    const targetList = dropTarget.closest(".tab-list");
+    if (targetList !== groupElement.closest(".tab-list")) {
+      const targetIndex = Array.prototype.indexOf.call(targetList.querySelectorAll(".tab-item"), targetTab);
+      dropTarget.before(groupElement);
+      
+      await Undo.record("undoMoveGroup", tabIds, async function () {
+        try {
+          await chrome.tabGroups.move(numericGroupId, {
+            windowId: WindowSections.getWindowId(targetList),
+            index: targetIndex,
+          });
+        } catch (error) {
+          console.log(error);
+        }
+      });
+      
+      Tabs.build();
+      return;
+    }
+    
     const oldIndex = Array.prototype.indexOf.call(allTabs, firstTabInGroup);
     const newIndex = Array.prototype.indexOf.call(allTabs, targetTab);
     
@@ -795,44 +1855,225 @@ class DnD {
       return;
     }
     
-    // Moving down or to end of list - need to recreate group
-    if (newIndex === -1 || newIndex > oldIndex) {
-      const tabIds = [];
-      for (const tabElement of tabsInGroup) {
-        tabIds.push(parseInt(tabElement.id.substring(4)));
-      }
-      
-      try {
-        const targetIndex = newIndex === -1 ? newIndex : newIndex - 1;
-        const groupInfo = await Groups.get(numericGroupId);
-        
-        // Ungroup, move tabs, then recreate group
-        await chrome.tabs.ungroup(tabIds);
-        for (const tabId of tabIds) {
-          await chrome.tabs.move(tabId, { index: targetIndex });
+    await Undo.record("undoMoveGroup", tabIds, async function () {
+      // Moving down or to end of list - need to recreate group
+      if (newIndex === -1 || newIndex > oldIndex) {
+        try {
+          const targetIndex = newIndex === -1 ? newIndex : newIndex - 1;
+          const groupInfo = await Groups.get(numericGroupId);
+          
+          // Ungroup, move tabs, then recreate group
+          await chrome.tabs.ungroup(tabIds);
+          for (const tabId of tabIds) {
+            await chrome.tabs.move(tabId, { index: targetIndex });
+          }
+          
+          const newGroupId = await chrome.tabs.group({
+            tabIds: tabIds,
+            createProperties: { windowId: groupInfo.windowId },
+          });
+          await chrome.tabGroups.update(newGroupId, {
+            collapsed: groupInfo.collapsed,
+            color: groupInfo.color,
+            title: groupInfo.title,
+          });
+        } catch (error) {
+          console.log(error);
+        }
+      } 
+      // Moving up - can use simpler move API
+      else if (newIndex < oldIndex) {
+        try {
+          await chrome.tabGroups.move(numericGroupId, { index: newIndex });
+        } catch (error) {
+          console.log(error);
         }
-        
-        const newGroupId = await chrome.tabs.group({ tabIds: tabIds });
-        await chrome.tabGroups.update(newGroupId, {
-          collapsed: groupInfo.collapsed,
-          color: groupInfo.color,
-          title: groupInfo.title,
-        });
-      } catch (error) {
-        console.log(error);
       }
-    } 
-    // Moving up - can use simpler move API
-    else if (newIndex < oldIndex) {
+    });
+    
+    Tabs.build();
+  }
+  
+  /**
+   * Get the tabs that move along with a dragged tab
+   * @param {number} tabId - The dragged tab ID
+   * @returns {number[]} The tab followed by its tree descendants, if any
+   */
+  static getMovingIds(tabId) {
+    return Tree.enabled ? [tabId, ...Tree.getDescendants(tabId)] : [tabId];
+  }
+  
+  /**
+   * Show the bar listing the other windows, plus a new window, as drop targets
+   * @param {HTMLElement} draggedElement - The dragged tab or group element
+   */
+  static async showWindowBar(draggedElement) {
+    const sourceWindowId = WindowSections.getWindowId(draggedElement.closest(".tab-list"));
+    const windows = await chrome.windows.getAll({ populate: true, windowTypes: ["normal"] });
+    
+    // The drag may have ended while we were waiting
+    if (!DnD.dragging) return;
+    
+    const items = [];
+    windows.forEach(function (windowInfo, index) {
+      if (windowInfo.id === sourceWindowId) return;
+      
+      const item = DnD.createWindowDropItem(windowInfo.id, WindowSections.getName(windowInfo.id, index));
+      const count = document.createElement("span");
+      count.className = "window-count";
+      count.textContent = windowInfo.tabs.length;
+      item.appendChild(count);
+      item.title = windowInfo.tabs.find((tab) => tab.active)?.title || "";
+      items.push(item);
+    });
+    items.push(DnD.createWindowDropItem("new", chrome.i18n.getMessage("dropNewWindow")));
+    
+    const windowBar = document.getElementById("window-drop-bar");
+    windowBar.replaceChildren(...items);
+    windowBar.hidden = false;
+  }
+  
+  /**
+   * Create a drop target of the window bar
+   * @param {number|string} windowId - The window ID, or "new" for a new window
+   * @param {string} label - The window name
+   * @returns {HTMLElement} The drop target element
+   */
+  static createWindowDropItem(windowId, label) {
+    const item = document.createElement("div");
+    item.className = "window-drop-item drop-zone";
+    item.dataset.windowId = windowId;
+    
+    const labelElement = document.createElement("span");
+    labelElement.className = "window-name";
+    labelElement.textContent = label;
+    item.appendChild(labelElement);
+    
+    DnD.initWindowDrop(item);
+    return item;
+  }
+  
+  /**
+   * Make an element accept drops that move the dragged item to a window
+   * The element's data-window-id names the window
+   * @param {HTMLElement} element - The window header or window bar item
+   */
+  static initWindowDrop(element) {
+    element.addEventListener("drop", DnD.dropOnWindow);
+    element.addEventListener("dragenter", DnD.dragEnter);
+    element.addEventListener("dragover", DnD.dragOver);
+    element.addEventListener("dragleave", DnD.dragLeave);
+  }
+  
+  /**
+   * Hide the window bar
+   */
+  static hideWindowBar() {
+    const windowBar = document.getElementById("window-drop-bar");
+    windowBar.hidden = true;
+    windowBar.replaceChildren();
+  }
+  
+  /**
+   * Check whether a drag ended outside the panel without being dropped anywhere
+   * @param {DragEvent} event - The dragend event
+   * @returns {boolean} True if the item was dragged out of the panel
+   */
+  static isDroppedOutside(event) {
+    if (event.dataTransfer.dropEffect !== "none") return false;
+    
+    return event.clientX < 0 || event.clientY < 0 ||
+      event.clientX > window.innerWidth || event.clientY > window.innerHeight;
+  }
+  
+  /**
+   * Handle a drop on a window header or the window bar - move the dragged item to the end of that window
+   * @param {DragEvent} event - The drop event
+   * @returns {boolean} Always returns false to prevent default behavior
+   */
+  static dropOnWindow(event) {
+    event.preventDefault();
+    event.stopPropagation();
+    event.currentTarget.classList.remove("drag-over");
+    
+    const windowId = event.currentTarget.dataset.windowId;
+    if (DnD.isExternal(event.dataTransfer)) {
+      DnD.clearExternalDrag();
+      DnD.openDropped(event.dataTransfer, null, parseInt(windowId));
+      return false;
+    }
+    
+    const draggedId = event.dataTransfer.getData("tab-id");
+    if (!draggedId) return false;
+    
+    if (windowId === "new") {
+      DnD.moveToNewWindow(draggedId);
+    } else {
+      DnD.moveToWindow(draggedId, parseInt(windowId));
+    }
+    return false;
+  }
+  
+  /**
+   * Move a dragged tab or group to the end of another window
+   * @param {string} draggedId - The element ID of the tab or group
+   * @param {number} windowId - The target window
+   */
+  static async moveToWindow(draggedId, windowId) {
+    const isGroup = draggedId.startsWith("group-");
+    const id = parseInt(draggedId.substring(isGroup ? 6 : 4));
+    const movingIds = isGroup ? (await chrome.tabs.query({ groupId: id })).map((tab) => tab.id) : DnD.getMovingIds(id);
+    
+    await Undo.record(isGroup ? "undoMoveGroup" : "undoMoveTab", movingIds, async function () {
       try {
-        await chrome.tabGroups.move(numericGroupId, { index: newIndex });
+        if (isGroup) {
+          await chrome.tabGroups.move(id, { windowId: windowId, index: -1 });
+        } else {
+          Tree.setParent(id, null);
+          await chrome.tabs.move(movingIds, { windowId: windowId, index: -1 });
+        }
       } catch (error) {
-        console.log(error);
+        console.error(error);
       }
-    }
+    });
     
     Tabs.build();
   }
+  
+  /**
+   * Move a dragged tab or group into a new window, like dragging it out of the tab strip
+   * @param {string} draggedId - The element ID of the tab or group
+   * @param {number} [left] - Screen position for the new window
+   * @param {number} [top] - Screen position for the new window
+   */
+  static async moveToNewWindow(draggedId, left, top) {
+    if (draggedId.startsWith("group-")) {
+      const groupId = parseInt(draggedId.substring(6));
+      const [firstTab] = await chrome.tabs.query({ groupId: groupId });
+      if (!firstTab) return;
+      
+      chrome.runtime.sendMessage({
+        type: "Move-Group-Window",
+        tabId: firstTab.id,
+        groupId: groupId,
+        left: left,
+        top: top,
+      });
+      return;
+    }
+    
+    const movingIds = DnD.getMovingIds(parseInt(draggedId.substring(4)));
+    await Undo.record("undoMoveTab", movingIds, async function () {
+      try {
+        const newWindow = await chrome.windows.create({ tabId: movingIds[0], left: left, top: top });
+        if (movingIds.length > 1) {
+          await chrome.tabs.move(movingIds.slice(1), { windowId: newWindow.id, index: -1 });
+        }
+      } catch (error) {
+        console.error(error);
+      }
+    });
+  }
 }
 
 // ============================================================================
@@ -846,15 +2087,25 @@ class ContextMenu {
   static init() {
     ContextMenu.tabMenu = document.getElementById("tab-context-menu");
     ContextMenu.groupMenu = document.getElementById("group-context-menu");
-    ContextMenu.tabMenu.addEventListener("contextmenu", stopEvent);
-    ContextMenu.groupMenu.addEventListener("contextmenu", stopEvent);
+    ContextMenu.pinMenu = document.getElementById("pin-context-menu");
+    ContextMenu.searchMenu = document.getElementById("search-context-menu");
+    for (const menu of [ContextMenu.tabMenu, ContextMenu.groupMenu, ContextMenu.pinMenu, ContextMenu.searchMenu]) {
+      menu.addEventListener("contextmenu", stopEvent);
+      menu.addEventListener("keydown", ContextMenu.onMenuKeyDown);
+    }
+    
+    // Make menu items reachable by keyboard
+    for (const item of document.querySelectorAll(".context-item")) {
+      item.tabIndex = 0;
+    }
     document.addEventListener("contextmenu", stopEvent);
     window.addEventListener("blur", ContextMenu.hide);
     
-    // Hide menu when pressing Escape key (unless typing in input)
+    // Hide menu and clear selection when pressing Escape key (unless typing in input)
     document.addEventListener("keydown", function (event) {
       if (event.target.tagName !== "INPUT" && event.key === "Escape") {
         ContextMenu.hide();
+        Tabs.clearSelection();
       }
     });
     
@@ -874,6 +2125,24 @@ class ContextMenu {
     document.getElementById("tab-group-add-remove").addEventListener("click", ContextMenu.addRemoveTabForGroup);
     document.getElementById("tab-move-window").addEventListener("click", ContextMenu.moveTabWindow);
     document.getElementById("tab-group-move-window").addEventListener("click", ContextMenu.moveGroupWindowByTabMenu);
+    document.getElementById("tab-close-duplicates").addEventListener("click", ContextMenu.closeDuplicates);
+    document.getElementById("tab-copy-link").addEventListener("click", ContextMenu.copyLink);
+    document.getElementById("tab-copy-template").addEventListener("click", ContextMenu.copyWithTemplate);
+    document.getElementById("tab-copy-title").addEventListener("click", ContextMenu.copyTitle);
+    document.getElementById("tab-copy-group").addEventListener("click", ContextMenu.copyGroupByTabMenu);
+    document.getElementById("tab-discard").addEventListener("click", ContextMenu.discard);
+    document.getElementById("tab-discard-others").addEventListener("click", ContextMenu.discardOthers);
+    document.getElementById("tab-protect").addEventListener("click", ContextMenu.protect);
+    document.getElementById("tab-close-subtree").addEventListener("click", ContextMenu.closeSubtree);
+    document.getElementById("tab-move-subtree-window").addEventListener("click", ContextMenu.moveSubtreeWindow);
+    
+    // Set up pin strip menu action listeners
+    document.getElementById("pin-unpin").addEventListener("click", ContextMenu.pin);
+    document.getElementById("pin-reload").addEventListener("click", ContextMenu.reload);
+    document.getElementById("pin-duplicate").addEventListener("click", ContextMenu.duplicate);
+    document.getElementById("pin-mute").addEventListener("click", ContextMenu.mute);
+    document.getElementById("pin-move-window").addEventListener("click", ContextMenu.moveTabWindow);
+    document.getElementById("pin-close").addEventListener("click", ContextMenu.closeSelf);
     
     // Initialize group name input
     ContextMenu.TimeoutId = 0;
@@ -898,6 +2167,16 @@ class ContextMenu {
     document.getElementById("group-close").addEventListener("click", ContextMenu.closeGroupByGroupMenu);
     document.getElementById("group-ungroup").addEventListener("click", ContextMenu.ungroup);
     document.getElementById("group-move-window").addEventListener("click", ContextMenu.moveGroupWindowByGroupMenu);
+    document.getElementById("group-stash").addEventListener("click", ContextMenu.stashGroup);
+    document.getElementById("group-export").addEventListener("click", ContextMenu.exportGroup);
+    document.getElementById("group-copy").addEventListener("click", ContextMenu.copyGroupByGroupMenu);
+    
+    // Set up search result menu action listeners
+    document.getElementById("search-copy-link").addEventListener("click", () => Search.copy("{url}"));
+    document.getElementById("search-copy-template").addEventListener("click", () => Search.copy());
+    document.getElementById("search-copy-title").addEventListener("click", () => Search.copy("{title}"));
+    document.getElementById("group-discard").addEventListener("click", ContextMenu.discardGroup);
+    document.getElementById("group-close-duplicates").addEventListener("click", ContextMenu.closeGroupDuplicates);
   }
   /**
    * Display the tab context menu
@@ -910,9 +2189,25 @@ class ContextMenu {
     const tabElement = event.currentTarget;
     const tabId = parseInt(tabElement.id.substring(4));
     
+    // Tabs in the compact pin strip have their own menu
+    if (tabElement.closest(".pin-strip")) {
+      ContextMenu.showPinMenu(event);
+      return;
+    }
+    
+    // Right-clicking outside the selection drops it, like the tab strip does
+    if (!Tabs.selection.has(tabId)) {
+      Tabs.clearSelection();
+    }
+    const selectedCount = Tabs.selection.size;
+    const isMulti = selectedCount > 1;
+    
     chrome.tabs.get(tabId, function (tab) {
       if (chrome.runtime.lastError || !tab) return;
       
+      // Window-wide actions apply to the window the tab is in
+      ContextMenu.windowId = tab.windowId;
+      
       // Show/hide group-related menu items based on tab's group status
       const closeGroupItem = document.getElementById("tab-close-group");
       const closeGroupAboveItem = document.getElementById("tab-close-group-above");
@@ -920,15 +2215,32 @@ class ContextMenu {
       const moveGroupWindowItem = document.getElementById("tab-group-move-window");
       const addRemoveGroupItem = document.getElementById("tab-group-add-remove");
       const isInGroup = tab.groupId !== NoGroup;
+      const showGroupItems = isInGroup && !isMulti;
       
-      closeGroupItem.style.display = isInGroup ? "block" : "none";
-      closeGroupAboveItem.style.display = isInGroup ? "block" : "none";
-      closeGroupBelowItem.style.display = isInGroup ? "block" : "none";
-      moveGroupWindowItem.style.display = isInGroup ? "block" : "none";
+      closeGroupItem.style.display = showGroupItems ? "block" : "none";
+      closeGroupAboveItem.style.display = showGroupItems ? "block" : "none";
+      closeGroupBelowItem.style.display = showGroupItems ? "block" : "none";
+      moveGroupWindowItem.style.display = showGroupItems ? "block" : "none";
+      document.getElementById("tab-copy-group").style.display = showGroupItems ? "block" : "none";
       addRemoveGroupItem.textContent = chrome.i18n.getMessage(
         isInGroup ? "menuRemoveFromGroup" : "menuAddToGroup"
       );
       
+      // Items that only make sense for a single tab
+      for (const itemId of ["tab-close-left", "tab-close-right", "tab-newtab-right", "tab-duplicate"]) {
+        document.getElementById(itemId).style.display = isMulti ? "none" : "block";
+      }
+      
+      // Subtree items for tree parents
+      const hasSubtree = Tree.enabled && !isMulti && Tree.getDescendants(tabId).length > 0;
+      document.getElementById("tab-close-subtree").style.display = hasSubtree ? "block" : "none";
+      document.getElementById("tab-move-subtree-window").style.display = hasSubtree ? "block" : "none";
+      
+      // Close item shows the selection size when acting on several tabs
+      document.getElementById("tab-close-self").textContent = isMulti
+        ? chrome.i18n.getMessage("menuCloseSelected", [selectedCount])
+        : chrome.i18n.getMessage("menuCloseThis");
+      
       // Update pin/unpin menu text
       document.getElementById("tab-pin").textContent = chrome.i18n.getMessage(
         tab.pinned ? "menuUnpin" : "menuPin"
@@ -939,14 +2251,53 @@ class ContextMenu {
         tab.mutedInfo.muted ? "menuUnmute" : "menuMute"
       );
       
+      // Update auto-discard protection menu text
+      document.getElementById("tab-protect").textContent = chrome.i18n.getMessage(
+        tab.autoDiscardable ? "menuProtect" : "menuUnprotect"
+      );
+      
       // Show the menu
       ContextMenu.hide();
       tabElement.classList.add("context-focus");
       ContextMenu.tabMenu.classList.add("show");
       ContextMenu.setMenuPosition(event, ContextMenu.tabMenu);
       ContextMenu.hideOnClickOutside("#tab-context-menu");
+      
+      if (event.fromKeyboard) {
+        ContextMenu.getVisibleItems(ContextMenu.tabMenu)[0]?.focus();
+      }
+    });
+  }
+  /**
+   * Display the menu for a tab in the compact pin strip
+   * @param {MouseEvent} event - The context menu event
+   */
+  static showPinMenu(event) {
+    const tabElement = event.currentTarget;
+    const tabId = parseInt(tabElement.id.substring(4));
+    
+    Tabs.clearSelection();
+    
+    chrome.tabs.get(tabId, function (tab) {
+      if (chrome.runtime.lastError || !tab) return;
+      
+      ContextMenu.windowId = tab.windowId;
+      document.getElementById("pin-mute").textContent = chrome.i18n.getMessage(
+        tab.mutedInfo.muted ? "menuUnmute" : "menuMute"
+      );
+      
+      ContextMenu.hide();
+      tabElement.classList.add("context-focus");
+      ContextMenu.pinMenu.classList.add("show");
+      ContextMenu.setMenuPosition(event, ContextMenu.pinMenu);
+      ContextMenu.hideOnClickOutside("#pin-context-menu");
+      
+      if (event.fromKeyboard) {
+        ContextMenu.getVisibleItems(ContextMenu.pinMenu)[0]?.focus();
+      }
     });
   }
+  
   /**
    * Display the group context menu
    * @param {MouseEvent} event - The context menu event
@@ -983,9 +2334,58 @@ class ContextMenu {
    * Hide all context menus
    */
   static hide() {
+    const hadFocus = ContextMenu.tabMenu.contains(document.activeElement) ||
+      ContextMenu.groupMenu.contains(document.activeElement) ||
+      ContextMenu.pinMenu.contains(document.activeElement);
+    
     ContextMenu.tabMenu.classList.remove("show");
     ContextMenu.groupMenu.classList.remove("show");
+    ContextMenu.pinMenu.classList.remove("show");
+    ContextMenu.searchMenu.classList.remove("show");
+    Views.menu.classList.remove("show");
     ContextMenu.clearContextFocus();
+    
+    // Give focus back to the list item the menu was opened from
+    if (hadFocus) {
+      KeyNav.restoreFocus();
+    }
+  }
+  
+  /**
+   * Get the menu items that are currently shown
+   * @param {HTMLElement} menu - The menu element
+   * @returns {HTMLElement[]} Visible menu items in order
+   */
+  static getVisibleItems(menu) {
+    return Array.from(menu.querySelectorAll(".context-item"))
+      .filter((item) => item.style.display !== "none");
+  }
+  
+  /**
+   * Handle keyboard navigation inside a context menu
+   * @param {KeyboardEvent} event - The keydown event
+   */
+  static onMenuKeyDown(event) {
+    const target = event.target;
+    
+    if (event.key === "Enter" && !target.matches("input")) {
+      event.preventDefault();
+      target.click();
+      return;
+    }
+    
+    if (event.key !== "ArrowDown" && event.key !== "ArrowUp") return;
+    
+    event.preventDefault();
+    const items = ContextMenu.getVisibleItems(event.currentTarget);
+    const step = event.key === "ArrowDown" ? 1 : -1;
+    const index = items.indexOf(target);
+    
+    if (index === -1) {
+      items[step === 1 ? 0 : items.length - 1]?.focus();
+    } else {
+      items[(index + step + items.length) % items.length].focus();
+    }
   }
   
   /**
@@ -1042,7 +2442,8 @@ class ContextMenu {
     ContextMenu.setColorSelect(selectedColor);
     
     if (await ContextMenu.isGroupValid()) {
-      chrome.tabGroups.update(ContextMenu.groupId, { color: selectedColor });
+      const groupId = ContextMenu.groupId;
+      Undo.recordGroup("undoRecolorGroup", groupId, () => chrome.tabGroups.update(groupId, { color: selectedColor }));
     }
   }
   
@@ -1052,8 +2453,9 @@ class ContextMenu {
   static async updateGroupName() {
     if (!(await ContextMenu.isGroupValid())) return;
     
+    const groupId = ContextMenu.groupId;
     const groupName = ContextMenu.input.value.trim();
-    chrome.tabGroups.update(ContextMenu.groupId, { title: groupName });
+    Undo.recordGroup("undoRenameGroup", groupId, () => chrome.tabGroups.update(groupId, { title: groupName }), `title-${groupId}`);
   }
   
   /**
@@ -1077,7 +2479,7 @@ class ContextMenu {
     
     if (!lastTab) return;
     
-    const newTab = await chrome.tabs.create({ index: lastTab.index + 1 });
+    const newTab = await chrome.tabs.create({ windowId: lastTab.windowId, index: lastTab.index + 1 });
     await chrome.tabs.group({
       groupId: ContextMenu.groupId,
       tabIds: newTab.id,
@@ -1092,8 +2494,8 @@ class ContextMenu {
     
     if (!(await ContextMenu.isGroupValid())) return;
     
-    const tabsInGroup = await chrome.tabs.query({ groupId: ContextMenu.groupId });
-    chrome.tabs.remove(tabsInGroup.map((tab) => tab.id));
+    const tabIds = (await chrome.tabs.query({ groupId: ContextMenu.groupId })).map((tab) => tab.id);
+    Undo.record("undoCloseGroup", tabIds, () => chrome.tabs.remove(tabIds));
   }
   
   /**
@@ -1104,8 +2506,30 @@ class ContextMenu {
     
     if (!(await ContextMenu.isGroupValid())) return;
     
-    const tabsInGroup = await chrome.tabs.query({ groupId: ContextMenu.groupId });
-    chrome.tabs.ungroup(tabsInGroup.map((tab) => tab.id));
+    const tabIds = (await chrome.tabs.query({ groupId: ContextMenu.groupId })).map((tab) => tab.id);
+    Undo.record("undoUngroup", tabIds, () => chrome.tabs.ungroup(tabIds));
+  }
+  
+  /**
+   * Save the group to storage and close its tabs (called from group menu)
+   */
+  static async stashGroup() {
+    ContextMenu.hide();
+    
+    if (!(await ContextMenu.isGroupValid())) return;
+    
+    Stash.stashGroup(ContextMenu.groupId);
+  }
+  
+  /**
+   * Export the group's tabs (called from group menu)
+   */
+  static async exportGroup() {
+    ContextMenu.hide();
+    
+    if (!(await ContextMenu.isGroupValid())) return;
+    
+    Transfer.exportGroup(ContextMenu.groupId);
   }
   
   /**
@@ -1143,31 +2567,142 @@ class ContextMenu {
   }
   
   /**
-   * Close the selected tab
+   * Get the tab IDs a menu action applies to and hide the menu
+   * This is the whole selection when the focused tab is part of it
+   * @returns {number[]} The tab IDs, empty if none found
    */
-  static closeSelf() {
+  static stepMany() {
     const tabId = ContextMenu.stepOne();
-    if (tabId) {
-      chrome.tabs.remove(tabId);
+    
+    if (!tabId) return [];
+    
+    if (Tabs.selection.has(tabId)) {
+      return Tabs.getSelectedIds();
+    }
+    return [tabId];
+  }
+  
+  /**
+   * Close the selected tab(s)
+   */
+  static closeSelf() {
+    const tabIds = ContextMenu.stepMany();
+    if (tabIds.length > 0) {
+      Tabs.clearSelection();
+      ContextMenu.showCloseConfirm(tabIds);
     }
   }
   
   /**
-   * Close all other tabs except the selected one
+   * Close all other tabs except the selected one(s)
    */
   static closeOthers() {
-    const tabId = ContextMenu.stepOne();
+    const tabIds = ContextMenu.stepMany();
     
-    if (!tabId) return;
+    if (tabIds.length === 0) return;
     
-    chrome.tabs.query({ currentWindow: true }, function (tabs) {
+    chrome.tabs.query({ windowId: ContextMenu.windowId }, function (tabs) {
       const tabsToClose = tabs
-        .filter((tab) => tab.id !== tabId && !tab.pinned)
+        .filter((tab) => !tabIds.includes(tab.id) && !tab.pinned)
         .map((tab) => tab.id);
       ContextMenu.showCloseConfirm(tabsToClose);
     });
   }
   
+  /**
+   * Copy the URL of the selected tab(s)
+   */
+  static copyLink() {
+    CopyTabs.copy(ContextMenu.stepMany(), "{url}").catch((error) => console.error(error));
+  }
+  
+  /**
+   * Copy the selected tab(s) with the template chosen in settings
+   */
+  static copyWithTemplate() {
+    CopyTabs.copyWithTemplate(ContextMenu.stepMany()).catch((error) => console.error(error));
+  }
+  
+  /**
+   * Copy the title of the selected tab(s)
+   */
+  static copyTitle() {
+    CopyTabs.copy(ContextMenu.stepMany(), "{title}").catch((error) => console.error(error));
+  }
+  
+  /**
+   * Copy all tabs in the tab's group with the settings template (called from tab menu)
+   */
+  static async copyGroupByTabMenu() {
+    const focusedElement = document.querySelector(".context-focus");
+    ContextMenu.hide();
+    
+    if (!focusedElement) return;
+    
+    const groupId = parseInt(focusedElement.dataset.group);
+    if (groupId === NoGroup) return;
+    
+    const tabsInGroup = await chrome.tabs.query({ groupId: groupId });
+    CopyTabs.copyWithTemplate(tabsInGroup.map((tab) => tab.id)).catch((error) => console.error(error));
+  }
+  
+  /**
+   * Copy all tabs in the group with the settings template (called from group menu)
+   */
+  static async copyGroupByGroupMenu() {
+    ContextMenu.hide();
+    
+    if (!(await ContextMenu.isGroupValid())) return;
+    
+    const tabsInGroup = await chrome.tabs.query({ groupId: ContextMenu.groupId });
+    CopyTabs.copyWithTemplate(tabsInGroup.map((tab) => tab.id)).catch((error) => console.error(error));
+  }
+  
+  /**
+   * Display the search result context menu
+   * @param {MouseEvent} event - The context menu event
+   */
+  static showSearchMenu(event) {
+    event.preventDefault();
+    event.stopPropagation();
+    
+    const resultElement = event.currentTarget;
+    
+    // Right-clicking outside the selection drops it
+    if (!resultElement.classList.contains("search-selected")) {
+      Search.clearSelection();
+    }
+    
+    ContextMenu.hide();
+    resultElement.classList.add("context-focus");
+    ContextMenu.searchMenu.classList.add("show");
+    ContextMenu.setMenuPosition(event, ContextMenu.searchMenu);
+    ContextMenu.hideOnClickOutside("#search-context-menu");
+  }
+  
+  /**
+   * Close the duplicate tabs of the window, keeping one copy of each URL
+   */
+  static closeDuplicates() {
+    ContextMenu.hide();
+    
+    chrome.tabs.query({ windowId: ContextMenu.windowId }, function (tabs) {
+      ContextMenu.showCloseConfirm(Tabs.findDuplicatesToClose(tabs));
+    });
+  }
+  
+  /**
+   * Close the duplicate tabs within the group (called from group menu)
+   */
+  static async closeGroupDuplicates() {
+    ContextMenu.hide();
+    
+    if (!(await ContextMenu.isGroupValid())) return;
+    
+    const tabsInGroup = await chrome.tabs.query({ groupId: ContextMenu.groupId });
+    ContextMenu.showCloseConfirm(Tabs.findDuplicatesToClose(tabsInGroup));
+  }
+  
   /**
    * Close all tabs to the left of the selected tab
    */
@@ -1176,7 +2711,7 @@ class ContextMenu {
     
     if (!tabId) return;
     
-    chrome.tabs.query({ currentWindow: true }, function (tabs) {
+    chrome.tabs.query({ windowId: ContextMenu.windowId }, function (tabs) {
       const selectedTab = tabs.find((tab) => tab.id === tabId);
       
       if (!selectedTab) return;
@@ -1196,7 +2731,7 @@ class ContextMenu {
     
     if (!tabId) return;
     
-    chrome.tabs.query({ currentWindow: true }, function (tabs) {
+    chrome.tabs.query({ windowId: ContextMenu.windowId }, function (tabs) {
       const selectedTab = tabs.find((tab) => tab.id === tabId);
       
       if (!selectedTab) return;
@@ -1216,7 +2751,7 @@ class ContextMenu {
     if (tabIds.length > 10) {
       CloseConfirm.show(tabIds);
     } else {
-      chrome.tabs.remove(tabIds);
+      Undo.closeTabs(tabIds);
     }
   }
   
@@ -1233,11 +2768,11 @@ class ContextMenu {
     
     if (groupId === NoGroup) return;
     
-    chrome.tabs.query({ currentWindow: true }, function (tabs) {
+    chrome.tabs.query({ windowId: ContextMenu.windowId }, function (tabs) {
       const tabsToClose = tabs
         .filter((tab) => tab.groupId === groupId)
         .map((tab) => tab.id);
-      chrome.tabs.remove(tabsToClose);
+      Undo.record("undoCloseGroup", tabsToClose, () => chrome.tabs.remove(tabsToClose));
     });
   }
   
@@ -1257,7 +2792,7 @@ class ContextMenu {
     // Only work when the tab is in a group
     if (groupId === NoGroup) return;
     
-    chrome.tabs.query({ currentWindow: true }, function (tabs) {
+    chrome.tabs.query({ windowId: ContextMenu.windowId }, function (tabs) {
       const selectedTab = tabs.find((tab) => tab.id === tabId);
       
       if (!selectedTab) return;
@@ -1294,7 +2829,7 @@ class ContextMenu {
     // Only work when the tab is in a group
     if (groupId === NoGroup) return;
     
-    chrome.tabs.query({ currentWindow: true }, function (tabs) {
+    chrome.tabs.query({ windowId: ContextMenu.windowId }, function (tabs) {
       const selectedTab = tabs.find((tab) => tab.id === tabId);
       
       if (!selectedTab) return;
@@ -1314,13 +2849,13 @@ class ContextMenu {
       ContextMenu.showCloseConfirm(tabsToClose);
     });
   }
+  
   /**
-   * Reload the selected tab
+   * Reload the selected tab(s)
    */
   static reload() {
-    const tabId = ContextMenu.stepOne();
-    if (tabId) {
-      chrome.tabs.reload(tabId);
+    for (const tabId of ContextMenu.stepMany()) {
+      chrome.tabs.reload(tabId).catch((error) => console.error(error));
     }
   }
   
@@ -1330,37 +2865,46 @@ class ContextMenu {
   static duplicate() {
     const tabId = ContextMenu.stepOne();
     if (tabId) {
-      chrome.tabs.duplicate(tabId);
+      chrome.tabs.duplicate(tabId)
+        .then((tab) => Tabs.skipDuplicateCheck([tab.id]))
+        .catch((error) => console.error(error));
     }
   }
   
   /**
-   * Toggle pin state of the selected tab
+   * Toggle pin state of the selected tab(s)
+   * The right-clicked tab decides whether the whole selection is pinned or unpinned
    */
   static pin() {
-    const tabId = ContextMenu.stepOne();
+    const focusedElement = document.querySelector(".context-focus");
+    const tabIds = ContextMenu.stepMany();
     
-    if (!tabId) return;
+    if (tabIds.length === 0) return;
     
-    chrome.tabs.get(tabId, function (tab) {
-      if (chrome.runtime.lastError || !tab) return;
-      
-      chrome.tabs.update(tabId, { pinned: !tab.pinned });
-    });
+    const pinned = !focusedElement.classList.contains("tab-pin");
+    for (const tabId of tabIds) {
+      chrome.tabs.update(tabId, { pinned: pinned }).catch((error) => console.error(error));
+    }
   }
   
   /**
-   * Toggle mute state of the selected tab
+   * Toggle mute state of the selected tab(s)
+   * The right-clicked tab decides whether the whole selection is muted or unmuted
    */
   static mute() {
-    const tabId = ContextMenu.stepOne();
+    const focusedElement = document.querySelector(".context-focus");
+    const tabIds = ContextMenu.stepMany();
     
-    if (!tabId) return;
+    if (tabIds.length === 0) return;
     
-    chrome.tabs.get(tabId, function (tab) {
+    const focusedTabId = parseInt(focusedElement.id.substring(4));
+    chrome.tabs.get(focusedTabId, function (tab) {
       if (chrome.runtime.lastError || !tab) return;
       
-      chrome.tabs.update(tabId, { muted: !tab.mutedInfo.muted });
+      const muted = !tab.mutedInfo.muted;
+      for (const tabId of tabIds) {
+        chrome.tabs.update(tabId, { muted: muted }).catch((error) => console.error(error));
+      }
     });
   }
   
@@ -1375,44 +2919,144 @@ class ContextMenu {
     chrome.tabs.get(tabId, function (tab) {
       if (chrome.runtime.lastError || !tab) return;
       
-      chrome.tabs.create({ index: tab.index + 1 });
+      chrome.tabs.create({ windowId: tab.windowId, index: tab.index + 1 });
     });
   }
   
   /**
-   * Add tab to a group or remove it from its current group
+   * Add tab(s) to a new group or remove them from their groups
+   * The right-clicked tab decides whether the selection is grouped or ungrouped
    */
   static addRemoveTabForGroup() {
-    const tabId = ContextMenu.stepOne();
+    const focusedElement = document.querySelector(".context-focus");
+    // Pinned tabs can't be in a group, and passing one fails the whole call
+    const tabIds = ContextMenu.stepMany()
+      .filter((tabId) => !document.getElementById(`tab-${tabId}`)?.classList.contains("tab-pin"));
     
-    if (!tabId) return;
+    if (tabIds.length === 0) return;
     
-    chrome.tabs.get(tabId, function (tab) {
-      if (chrome.runtime.lastError || !tab) return;
-      
-      if (tab.groupId === NoGroup) {
-        chrome.tabs.group({ tabIds: tabId });
-      } else {
-        chrome.tabs.ungroup(tabId);
-      }
-    });
+    Tabs.clearSelection();
+    if (parseInt(focusedElement.dataset.group) === NoGroup) {
+      const windowId = ContextMenu.windowId;
+      Undo.record("undoGroup", tabIds, () => chrome.tabs.group({ tabIds: tabIds, createProperties: { windowId: windowId } }));
+    } else {
+      Undo.record("undoUngroup", tabIds, () => chrome.tabs.ungroup(tabIds));
+    }
+  }
+  
+  /**
+   * Move the selected tab(s) to a new window
+   */
+  static async moveTabWindow() {
+    const tabIds = ContextMenu.stepMany();
+    
+    if (tabIds.length === 0) return;
+    
+    Tabs.clearSelection();
+    try {
+      const newWindow = await chrome.windows.create({ tabId: tabIds[0] });
+      if (tabIds.length > 1) {
+        await chrome.tabs.move(tabIds.slice(1), { windowId: newWindow.id, index: -1 });
+      }
+    } catch (error) {
+      console.error(error);
+    }
   }
   
   /**
-   * Move the selected tab to a new window
+   * Close the selected tab together with its tree descendants
    */
-  static moveTabWindow() {
+  static closeSubtree() {
     const tabId = ContextMenu.stepOne();
     
     if (!tabId) return;
     
-    chrome.tabs.get(tabId, function (tab) {
+    ContextMenu.showCloseConfirm([tabId, ...Tree.getDescendants(tabId)]);
+  }
+  
+  /**
+   * Move the selected tab and its tree descendants to a new window
+   */
+  static async moveSubtreeWindow() {
+    const tabId = ContextMenu.stepOne();
+    
+    if (!tabId) return;
+    
+    const descendants = Tree.getDescendants(tabId);
+    try {
+      const newWindow = await chrome.windows.create({ tabId: tabId });
+      if (descendants.length > 0) {
+        await chrome.tabs.move(descendants, { windowId: newWindow.id, index: -1 });
+      }
+    } catch (error) {
+      console.error(error);
+    }
+  }
+  
+  /**
+   * Discard the selected tab(s) to free memory
+   * The active tab can't be discarded and is skipped
+   */
+  static discard() {
+    for (const tabId of ContextMenu.stepMany()) {
+      if (!Tabs.info.get(tabId)?.active) {
+        chrome.tabs.discard(tabId).catch((error) => console.error(error));
+      }
+    }
+  }
+  
+  /**
+   * Discard all other tabs in the window except the selected one(s)
+   */
+  static discardOthers() {
+    const tabIds = ContextMenu.stepMany();
+    
+    if (tabIds.length === 0) return;
+    
+    chrome.tabs.query({ windowId: ContextMenu.windowId, active: false, discarded: false }, function (tabs) {
+      for (const tab of tabs) {
+        if (!tabIds.includes(tab.id)) {
+          chrome.tabs.discard(tab.id).catch((error) => console.error(error));
+        }
+      }
+    });
+  }
+  
+  /**
+   * Toggle protection from automatic discarding for the selected tab(s)
+   * The right-clicked tab decides whether the selection is protected or not
+   */
+  static protect() {
+    const focusedElement = document.querySelector(".context-focus");
+    const tabIds = ContextMenu.stepMany();
+    
+    if (tabIds.length === 0) return;
+    
+    const focusedTabId = parseInt(focusedElement.id.substring(4));
+    chrome.tabs.get(focusedTabId, function (tab) {
       if (chrome.runtime.lastError || !tab) return;
       
-      chrome.windows.create({ tabId: tabId });
+      const autoDiscardable = !tab.autoDiscardable;
+      for (const tabId of tabIds) {
+        chrome.tabs.update(tabId, { autoDiscardable: autoDiscardable }).catch((error) => console.error(error));
+      }
     });
   }
   
+  /**
+   * Discard all tabs in the group (called from group menu)
+   */
+  static async discardGroup() {
+    ContextMenu.hide();
+    
+    if (!(await ContextMenu.isGroupValid())) return;
+    
+    const tabsInGroup = await chrome.tabs.query({ groupId: ContextMenu.groupId, active: false, discarded: false });
+    for (const tab of tabsInGroup) {
+      chrome.tabs.discard(tab.id).catch((error) => console.error(error));
+    }
+  }
+  
   /**
    * Move the tab's group to a new window (called from tab menu)
    */
@@ -1457,18 +3101,40 @@ class CloseConfirm {
   /**
    * Close the tabs that were queued for closing
    */
-  static closeTabs() {
-    chrome.tabs.remove(CloseConfirm.ids);
+  static async closeTabs() {
     CloseConfirm.close();
+    
+    // Tabs whose content couldn't be kept are left open
+    let tabIds = CloseConfirm.ids;
+    if (CloseConfirm.beforeClose) {
+      try {
+        tabIds = await CloseConfirm.beforeClose(tabIds);
+      } catch (error) {
+        console.error(error);
+        tabIds = [];
+      }
+    }
+    
+    if (tabIds.length > 0) {
+      await Undo.closeTabs(tabIds);
+    }
+    
+    const keptCount = CloseConfirm.ids.length - tabIds.length;
+    if (keptCount > 0) {
+      Undo.showToast(chrome.i18n.getMessage("closeConfirmKeptOpen", [keptCount]));
+    }
   }
   
   /**
    * Show the confirmation dialog
    * @param {number[]} tabIds - Array of tab IDs to close
+   * @param {Function} [beforeClose] - Async callback run with the tab IDs once confirmed, resolving to the IDs safe to close
+   * @param {string} [messageName] - i18n message for the title, given the tab count
    */
-  static show(tabIds) {
+  static show(tabIds, beforeClose = null, messageName = "closeConfirmTitle") {
     CloseConfirm.ids = tabIds;
-    CloseConfirm.head.textContent = chrome.i18n.getMessage("closeConfirmTitle", [tabIds.length]);
+    CloseConfirm.beforeClose = beforeClose;
+    CloseConfirm.head.textContent = chrome.i18n.getMessage(messageName, [tabIds.length]);
     CloseConfirm.dialog.showModal();
   }
   
@@ -1481,522 +3147,4692 @@ class CloseConfirm {
 }
 
 // ============================================================================
-// Settings Class - Manages Extension Settings
+// Undo Class - Undo and Redo for Tab Operations
 // ============================================================================
 
 /**
- * Handles extension settings and preferences
+ * Keeps a history of closing, moving, grouping and group edits
+ * Each entry holds the state of the tabs the operation acted on, and their
+ * groups, before and after it; undoing (or redoing) puts back the tabs that
+ * differ, next to the tabs they were beside rather than at a fixed index
+ * Tabs and groups that are reopened get new IDs, which are mapped so older
+ * entries keep working
  */
-class Settings {
+class Undo {
   /**
-   * Initialize settings system and load saved preferences
+   * Initialize the toast and the Ctrl+Z / Ctrl+Shift+Z shortcuts
    */
-  static async init() {
-    Settings.container = document.getElementById("settings-container");
-    
-    // Set up event listeners
-    document.getElementById("settings-icon").addEventListener("click", Settings.show);
-    document.getElementById("settings-save").addEventListener("click", Settings.save);
-    document.getElementById("settings-close").addEventListener("click", Settings.hide);
-    document.getElementById("settings-sidebar-position").addEventListener("click", Settings.openBrwoserSetting);
-    document.getElementById("settings-sidebar-shortcut").addEventListener("click", Settings.openExtensionShortcut);
-    
-    // Load saved settings with defaults
-    Settings.settings = await chrome.storage.sync.get({
-      showNewtabButton: false,
-      searchPosition: "top",
-      fontSize: "normal",
-      pinMode: "normal",
-      closeByDoubleClick: true,
-      theme: "system",
-    });
-    
-    // Reload page when settings change in another instance
-    chrome.storage.sync.onChanged.addListener(() => location.reload());
+  static init() {
+    Undo.undoStack = [];
+    Undo.redoStack = [];
     
-    // Apply settings to UI
-    if (Settings.settings.searchPosition === "top") {
-      Main.parentElement.classList.add("reverse");
-    }
+    // Old to new IDs of reopened tabs, recreated groups and windows
+    Undo.tabIds = new Map();
+    Undo.groupIds = new Map();
+    Undo.windowIds = new Map();
     
-    if (Settings.settings.fontSize === "small") {
-      Main.classList.add("font-small");
-    }
+    // Operations run one at a time so every snapshot is consistent
+    Undo.queue = Promise.resolve();
+    Undo.toastTimeoutId = 0;
     
-    if (Settings.settings.showNewtabButton) {
-      Tabs.initNewtabBtn();
-    }
+    Undo.toast = document.getElementById("undo-toast");
+    Undo.toastButton = document.getElementById("undo-toast-btn");
+    Undo.toastButton.addEventListener("click", Undo.onToastClick);
     
-    Settings.setTheme(Settings.settings.theme);
+    document.addEventListener("keydown", Undo.onKeyDown);
   }
+  
   /**
-   * Get the closeByDoubleClick setting
-   * @returns {boolean} Whether double-click to close is enabled
+   * Run a task after the ones already queued
+   * @param {Function} task - Async function to run
+   * @returns {Promise} Resolves when the task is done
    */
-  static get closeByDoubleClick() {
-    return Settings.settings.closeByDoubleClick;
+  static enqueue(task) {
+    Undo.queue = Undo.queue.then(task).catch((error) => console.error(error));
+    return Undo.queue;
   }
   
   /**
-   * Show the settings dialog
+   * Run an operation and add it to the history, with a toast offering Undo
+   * Only the given tabs and the groups they are in are recorded, so tabs
+   * opened or changed elsewhere meanwhile are never touched by Undo
+   * @param {string} messageName - i18n message describing the operation
+   * @param {number[]} tabIds - The tabs the operation acts on
+   * @param {Function} action - Async function performing the operation
+   * @param {string[]} [substitutions] - Substitutions for the message
+   * @param {string} [mergeKey] - Operations with the same key in quick succession become one entry
+   * @returns {Promise} Resolves when the operation is done
    */
-  static show() {
-    document.getElementById("settings-newtab").checked = Settings.settings.showNewtabButton;
-    document.getElementById("settings-closeByDoubleClick").checked = Settings.settings.closeByDoubleClick;
-    document.getElementById("settings-search").value = Settings.settings.searchPosition;
-    document.getElementById("settings-font").value = Settings.settings.fontSize;
-    document.getElementById("settings-theme").value = Settings.settings.theme;
-    Settings.container.showModal();
+  static record(messageName, tabIds, action, substitutions = [], mergeKey = null) {
+    return Undo.enqueue(async function () {
+      const before = await Undo.capture(tabIds);
+      
+      try {
+        await action();
+      } catch (error) {
+        console.error(error);
+      }
+      
+      const after = await Undo.capture(tabIds);
+      if (!Undo.hasChanges(before, after)) return;
+      
+      const label = chrome.i18n.getMessage(messageName, substitutions);
+      const last = Undo.undoStack[Undo.undoStack.length - 1];
+      
+      // Quick successive edits of the same thing, like typing a group name, are one entry
+      if (mergeKey && last?.mergeKey === mergeKey && Date.now() - last.time < 3000) {
+        last.after = after;
+        last.time = Date.now();
+      } else {
+        Undo.undoStack.push({ label, before, after, mergeKey, time: Date.now() });
+        // Keep the last 30 operations
+        if (Undo.undoStack.length > 30) {
+          Undo.undoStack.shift();
+        }
+      }
+      Undo.redoStack = [];
+      
+      Undo.showToast(label, "undoUndo", Undo.undo);
+    });
   }
   
   /**
-   * Hide the settings dialog
+   * Run an operation on a group and add it to the history
+   * @param {string} messageName - i18n message describing the operation
+   * @param {number} groupId - The group the operation acts on
+   * @param {Function} action - Async function performing the operation
+   * @param {string} [mergeKey] - Operations with the same key in quick succession become one entry
+   * @returns {Promise} Resolves when the operation is done
    */
-  static hide() {
-    Settings.container.close();
+  static async recordGroup(messageName, groupId, action, mergeKey = null) {
+    const tabs = await chrome.tabs.query({ groupId: groupId });
+    return Undo.record(messageName, tabs.map((tab) => tab.id), action, [], mergeKey);
   }
   
   /**
-   * Save settings to Chrome storage
+   * Close tabs so they can be reopened with Undo
+   * @param {number[]} tabIds - The tabs to close
+   * @returns {Promise} Resolves when the tabs are closed
    */
-  static async save() {
-    Settings.hide();
-    
-    const newSettings = {
-      showNewtabButton: document.getElementById("settings-newtab").checked,
-      closeByDoubleClick: document.getElementById("settings-closeByDoubleClick").checked,
-      searchPosition: document.getElementById("settings-search").value,
-      fontSize: document.getElementById("settings-font").value,
-      theme: document.getElementById("settings-theme").value,
-    };
-    
-    await chrome.storage.sync.set(newSettings);
+  static closeTabs(tabIds) {
+    const messageName = tabIds.length === 1 ? "undoCloseTab" : "undoCloseTabs";
+    return Undo.record(messageName, tabIds, () => chrome.tabs.remove(tabIds), [tabIds.length]);
   }
   
   /**
-   * Open Chrome appearance settings
-   * @param {MouseEvent} event - The click event
+   * Undo the last operation
+   * @returns {Promise} Resolves when the tabs are restored
    */
-  static openBrwoserSetting(event) {
-    event.preventDefault();
-    chrome.tabs.create({ url: "chrome://settings/appearance" });
+  static undo() {
+    return Undo.enqueue(async function () {
+      const entry = Undo.undoStack.pop();
+      if (!entry) return;
+      
+      await Undo.apply(entry.before, entry.after);
+      Undo.redoStack.push(entry);
+      Undo.showToast(chrome.i18n.getMessage("undoUndone", [entry.label]), "undoRedo", Undo.redo);
+    });
   }
   
   /**
-   * Open Chrome extension shortcuts page
-   * @param {MouseEvent} event - The click event
+   * Redo the last undone operation
+   * @returns {Promise} Resolves when the operation is repeated
    */
-  static openExtensionShortcut(event) {
-    event.preventDefault();
-    const extensionName = chrome.i18n.getMessage("extName");
-    const shortcutsUrl = "chrome://extensions/shortcuts#:~:text=" + encodeURIComponent(extensionName);
-    chrome.tabs.create({ url: shortcutsUrl });
+  static redo() {
+    return Undo.enqueue(async function () {
+      const entry = Undo.redoStack.pop();
+      if (!entry) return;
+      
+      await Undo.apply(entry.after, entry.before);
+      Undo.undoStack.push(entry);
+      Undo.showToast(chrome.i18n.getMessage("undoRedone", [entry.label]), "undoUndo", Undo.undo);
+    });
   }
   
   /**
-   * Set the theme (light/dark/system)
-   * @param {string} theme - The theme to apply
+   * Take a snapshot of some tabs and the groups they are in
+   * Each tab keeps the IDs of the tabs beside it, so it can be put back
+   * next to them even after other tabs opened or closed around it
+   * @param {number[]} tabIds - The tabs to include; closed ones are left out
+   * @returns {Promise<object>} Tabs and groups by ID
    */
-  static setTheme(theme) {
-    const darkCss = document.getElementById("dark-css");
+  static async capture(tabIds) {
+    const allTabs = await chrome.tabs.query({});
+    const tabsByWindow = new Map();
+    for (const tab of allTabs) {
+      if (!tabsByWindow.has(tab.windowId)) {
+        tabsByWindow.set(tab.windowId, []);
+      }
+      tabsByWindow.get(tab.windowId)[tab.index] = tab;
+    }
+    const wanted = new Set(tabIds);
+    const snapshot = { tabs: new Map(), groups: new Map() };
     
-    if (theme === "light") {
-      darkCss.disabled = true;
-    } else if (theme === "dark") {
-      darkCss.disabled = false;
-    } else {
-      // System theme - follow OS preference
-      const prefersDark = window.matchMedia("(prefers-color-scheme: dark)");
-      Settings.setTheme(prefersDark.matches ? "dark" : "light");
+    for (const tab of allTabs) {
+      if (!wanted.has(tab.id)) continue;
       
-      prefersDark.addEventListener("change", ({ matches }) => {
-        Settings.setTheme(matches ? "dark" : "light");
+      const windowTabs = tabsByWindow.get(tab.windowId);
+      snapshot.tabs.set(tab.id, {
+        windowId: tab.windowId,
+        index: tab.index,
+        previousId: windowTabs[tab.index - 1]?.id ?? null,
+        nextId: windowTabs[tab.index + 1]?.id ?? null,
+        groupId: tab.groupId,
+        pinned: tab.pinned,
+        url: tab.url || tab.pendingUrl,
       });
+      
+      if (tab.groupId !== NoGroup && !snapshot.groups.has(tab.groupId)) {
+        const group = await Undo.attempt(chrome.tabGroups.get(tab.groupId));
+        if (group) {
+          snapshot.groups.set(group.id, { title: group.title, color: group.color, collapsed: group.collapsed });
+        }
+      }
     }
-  }
-}
-
-// ============================================================================
-// Groups Class - Manages Tab Groups
-// ============================================================================
-
-/**
- * Handles tab group creation, updates, and organization
- */
-class Groups {
-  /**
-   * Initialize the groups system and set up event listeners
-   */
-  static async init() {
-    chrome.tabGroups.onCreated.addListener(Groups.onCreated);
-    chrome.tabGroups.onUpdated.addListener(Groups.onUpdated);
-    chrome.tabGroups.onRemoved.addListener(Groups.onRemoved);
-    chrome.tabGroups.onMoved.addListener(Groups.onMoved);
     
-    // Store color class names for easy class manipulation
-    Groups.Colors = Object.values(chrome.tabGroups.Color).map(
-      (color) => `group-color-${color}`
-    );
-    
-    // Initialize cache with current groups
-    Groups.cache = new Map();
-    const allGroups = await chrome.tabGroups.query({});
-    for (const group of allGroups) {
-      Groups.cache.set(group.id, group);
-    }
+    return snapshot;
   }
   
   /**
-   * Get a group by ID, using cache or fetching from Chrome API
-   * @param {number} groupId - The group ID to retrieve
-   * @returns {Promise<chrome.tabGroups.TabGroup|null>} The group object or null if not found
+   * Check whether a tab moved, was pinned or unpinned, or changed group
+   * Only its neighbours count for moves, since its index shifts whenever a tab before it opens or closes
+   * @param {object} tab - Tab from one snapshot
+   * @param {object} otherTab - The same tab from another snapshot
+   * @returns {boolean} True if the tab differs
    */
-  static async get(groupId) {
-    let group = Groups.cache.get(groupId);
-    if (group) return group;
-    
-    try {
-      group = await chrome.tabGroups.get(groupId);
-      if (group) {
-        Groups.cache.set(group.id, group);
-      }
-      return group;
-    } catch (error) {
-      return null;
-    }
+  static isTabChanged(tab, otherTab) {
+    return tab.windowId !== otherTab.windowId || tab.previousId !== otherTab.previousId ||
+      tab.nextId !== otherTab.nextId || tab.groupId !== otherTab.groupId || tab.pinned !== otherTab.pinned;
   }
+  
   /**
-   * Handle group creation event
-   * @param {chrome.tabGroups.TabGroup} group - The newly created group
+   * Check whether a group was renamed, recolored, collapsed or expanded
+   * @param {object} group - Group from one snapshot
+   * @param {object} otherGroup - The same group from another snapshot
+   * @returns {boolean} True if the group differs
    */
-  static onCreated(group) {
-    Groups.cache.set(group.id, group);
+  static isGroupChanged(group, otherGroup) {
+    return group.title !== otherGroup.title || group.color !== otherGroup.color ||
+      group.collapsed !== otherGroup.collapsed;
   }
   
   /**
-   * Handle group update event
-   * @param {chrome.tabGroups.TabGroup} group - The updated group
+   * Check whether anything differs between two snapshots
+   * @param {object} before - Snapshot before the operation
+   * @param {object} after - Snapshot after the operation
+   * @returns {boolean} True if the operation changed something
    */
-  static onUpdated(group) {
-    Groups.cache.set(group.id, group);
-    
-    // Update UI if this group is in current window
-    if (group.windowId !== WindowId) return;
-    
-    const groupElement = document.getElementById(`group-${group.id}`);
-    if (!groupElement) return;
+  static hasChanges(before, after) {
+    if (before.tabs.size !== after.tabs.size || before.groups.size !== after.groups.size) return true;
     
-    // Update color, title, and collapsed state
-    Groups.updateColor(groupElement, group.color);
-    Groups.updateTitle(groupElement.querySelector(".group-label"), group.title);
-    
-    if (group.collapsed) {
-      groupElement.classList.add("collapse");
-    } else {
-      groupElement.classList.remove("collapse");
+    for (const [tabId, tab] of before.tabs) {
+      const afterTab = after.tabs.get(tabId);
+      if (!afterTab || Undo.isTabChanged(tab, afterTab)) return true;
+    }
+    for (const [groupId, group] of before.groups) {
+      const afterGroup = after.groups.get(groupId);
+      if (!afterGroup || Undo.isGroupChanged(group, afterGroup)) return true;
     }
+    return false;
   }
   
   /**
-   * Handle group move event
-   * @param {chrome.tabGroups.TabGroup} group - The moved group
+   * Follow an ID through the map of reopened or recreated items
+   * @param {Map<number, number>} ids - Old to new IDs
+   * @param {number} id - The ID from a snapshot
+   * @returns {number} The current ID
    */
-  static onMoved(group) {
-    if (group.windowId === WindowId) {
-      Tabs.delayRebuild();
+  static resolve(ids, id) {
+    while (ids.has(id)) {
+      id = ids.get(id);
     }
+    return id;
   }
   
   /**
-   * Handle group removal event
-   * @param {chrome.tabGroups.TabGroup} group - The removed group
+   * Run a browser call whose failure shouldn't stop the rest of a restore
+   * @param {Promise} promise - The pending call
+   * @returns {Promise} The call's result, or undefined if it failed
    */
-  static onRemoved(group) {
-    Groups.cache.delete(group.id);
+  static attempt(promise) {
+    return promise.catch((error) => console.error(error));
+  }
+  
+  /**
+   * Put tabs and groups back the way a snapshot has them
+   * Only recorded tabs and groups that differ between the two snapshots are
+   * touched, so tabs opened or moved since are left alone
+   * @param {object} target - The snapshot to go back to
+   * @param {object} other - The snapshot on the other side of the operation
+   */
+  static async apply(target, other) {
+    const current = await Undo.capture([...target.tabs.keys(), ...other.tabs.keys()]
+      .map((tabId) => Undo.resolve(Undo.tabIds, tabId)));
+    const recentlyClosed = await chrome.sessions.getRecentlyClosed();
+    
+    // Close the tabs the operation opened
+    const tabIdsToClose = [...other.tabs.keys()]
+      .filter((tabId) => !target.tabs.has(tabId))
+      .map((tabId) => Undo.resolve(Undo.tabIds, tabId))
+      .filter((tabId) => current.tabs.has(tabId));
+    if (tabIdsToClose.length > 0) {
+      await Undo.attempt(chrome.tabs.remove(tabIdsToClose));
+    }
+    
+    // Reopen the tabs it closed, and collect the tabs that need to move back
+    const changed = [];
+    for (const [tabId, tab] of target.tabs) {
+      const otherTab = other.tabs.get(tabId);
+      if (otherTab && !Undo.isTabChanged(tab, otherTab)) continue;
+      
+      let currentId = Undo.resolve(Undo.tabIds, tabId);
+      if (!current.tabs.has(currentId)) {
+        // Closed since by something else
+        if (otherTab) continue;
+        
+        const newId = await Undo.reopen(tab, recentlyClosed);
+        if (!newId) continue;
+        Tabs.skipDuplicateCheck([newId]);
+        Undo.tabIds.set(currentId, newId);
+        currentId = newId;
+      }
+      changed.push({ id: currentId, tab: tab, current: current.tabs.get(currentId) });
+    }
+    changed.sort((a, b) => a.tab.index - b.tab.index);
+    
+    for (const { id, tab, current: currentTab } of changed) {
+      if (currentTab?.pinned !== tab.pinned) {
+        await Undo.attempt(chrome.tabs.update(id, { pinned: tab.pinned }));
+      }
+    }
+    
+    const ungroupIds = changed
+      .filter(({ tab, current: currentTab }) => tab.groupId === NoGroup && currentTab?.groupId !== NoGroup)
+      .map(({ id }) => id);
+    if (ungroupIds.length > 0) {
+      await Undo.attempt(chrome.tabs.ungroup(ungroupIds));
+    }
+    
+    await Undo.moveTabs(changed);
+    await Undo.regroup(changed, target);
+    
+    // Grouping can pull tabs out of place, so move them once more
+    await Undo.moveTabs(changed);
+    
+    for (const [groupId, group] of target.groups) {
+      const otherGroup = other.groups.get(groupId);
+      if (otherGroup && Undo.isGroupChanged(group, otherGroup)) {
+        await Undo.attempt(chrome.tabGroups.update(Undo.resolve(Undo.groupIds, groupId), group));
+      }
+    }
+    
+    Tabs.scheduleSync();
+  }
+  
+  /**
+   * Reopen a closed tab, from the browser's recently closed list when possible
+   * so it gets its history back
+   * @param {object} tab - The tab from the snapshot
+   * @param {chrome.sessions.Session[]} recentlyClosed - Recently closed entries, used ones are removed
+   * @returns {Promise<number|null>} ID of the reopened tab
+   */
+  static async reopen(tab, recentlyClosed) {
+    const index = recentlyClosed.findIndex((session) => session.tab && session.tab.url === tab.url);
+    if (index !== -1) {
+      const [session] = recentlyClosed.splice(index, 1);
+      const restored = await Undo.attempt(chrome.sessions.restore(session.tab.sessionId));
+      if (restored?.tab) {
+        return restored.tab.id;
+      }
+    }
+    
+    if (!tab.url) return null;
+    
+    const created = await Undo.attempt(chrome.tabs.create({ url: tab.url, pinned: tab.pinned, active: false }));
+    return created?.id ?? null;
+  }
+  
+  /**
+   * Move tabs back beside the tabs they were next to in the snapshot
+   * The snapshot index is only used when neither neighbour is still in the window
+   * A window that was closed in the meantime is opened again with the first tab
+   * @param {object[]} changed - Tabs to move, sorted by index
+   */
+  static async moveTabs(changed) {
+    for (const { id, tab } of changed) {
+      const windowId = Undo.resolve(Undo.windowIds, tab.windowId);
+      
+      const windowExists = await chrome.windows.get(windowId).then(() => true, () => false);
+      if (!windowExists) {
+        const newWindow = await Undo.attempt(chrome.windows.create({ tabId: id, focused: false }));
+        if (newWindow) {
+          Undo.windowIds.set(windowId, newWindow.id);
+        }
+        continue;
+      }
+      
+      const index = await Undo.getIndexBeside(id, tab, windowId);
+      await Undo.attempt(chrome.tabs.move(id, { windowId: windowId, index: index }));
+    }
+  }
+  
+  /**
+   * Find the index that puts a tab right after its previous neighbour, or right before its next one
+   * @param {number} id - The current ID of the tab to move
+   * @param {object} tab - The tab from the snapshot
+   * @param {number} windowId - The window it moves to
+   * @returns {Promise<number>} The index to move the tab to
+   */
+  static async getIndexBeside(id, tab, windowId) {
+    const movingTab = await Undo.attempt(chrome.tabs.get(id));
+    // Taking the tab out first shifts the tabs after it in the same window
+    const shift = (neighbour) => movingTab?.windowId === windowId && movingTab.index < neighbour.index ? 1 : 0;
+    
+    if (tab.previousId !== null) {
+      const previous = await chrome.tabs.get(Undo.resolve(Undo.tabIds, tab.previousId)).catch(() => null);
+      if (previous?.windowId === windowId && previous.id !== id) {
+        return previous.index + 1 - shift(previous);
+      }
+    }
+    
+    if (tab.nextId !== null) {
+      const next = await chrome.tabs.get(Undo.resolve(Undo.tabIds, tab.nextId)).catch(() => null);
+      if (next?.windowId === windowId && next.id !== id) {
+        return next.index - shift(next);
+      }
+    }
+    
+    return tab.index;
+  }
+  
+  /**
+   * Put tabs back into their groups, recreating groups that no longer exist
+   * @param {object[]} changed - Tabs that were moved back
+   * @param {object} target - The snapshot being restored
+   */
+  static async regroup(changed, target) {
+    const tabIdsByGroup = new Map();
+    for (const { id, tab } of changed) {
+      if (tab.groupId === NoGroup) continue;
+      
+      if (!tabIdsByGroup.has(tab.groupId)) {
+        tabIdsByGroup.set(tab.groupId, []);
+      }
+      tabIdsByGroup.get(tab.groupId).push(id);
+    }
+    
+    for (const [groupId, tabIds] of tabIdsByGroup) {
+      const currentGroupId = Undo.resolve(Undo.groupIds, groupId);
+      const groupExists = await chrome.tabGroups.get(currentGroupId).then(() => true, () => false);
+      
+      if (groupExists) {
+        await Undo.attempt(chrome.tabs.group({ groupId: currentGroupId, tabIds: tabIds }));
+        continue;
+      }
+      
+      const firstTab = await Undo.attempt(chrome.tabs.get(tabIds[0]));
+      if (!firstTab) continue;
+      
+      const newGroupId = await Undo.attempt(chrome.tabs.group({
+        tabIds: tabIds,
+        createProperties: { windowId: firstTab.windowId },
+      }));
+      if (newGroupId === undefined) continue;
+      
+      Undo.groupIds.set(currentGroupId, newGroupId);
+      const group = target.groups.get(groupId);
+      if (group) {
+        await Undo.attempt(chrome.tabGroups.update(newGroupId, group));
+      }
+    }
+  }
+  
+  /**
+   * Show the toast with a message and an Undo or Redo button
+   * @param {string} text - The message
+   * @param {string} [buttonMessageName] - i18n message for the button; without it no button is shown
+   * @param {Function} [onClick] - Called when the button is clicked
+   */
+  static showToast(text, buttonMessageName = null, onClick = null) {
+    Undo.toast.querySelector(".undo-toast-text").textContent = text;
+    Undo.toastButton.hidden = !buttonMessageName;
+    Undo.toastButton.textContent = buttonMessageName ? chrome.i18n.getMessage(buttonMessageName) : "";
+    Undo.toastAction = onClick;
+    Undo.toast.hidden = false;
+    
+    clearTimeout(Undo.toastTimeoutId);
+    Undo.toastTimeoutId = setTimeout(Undo.hideToast, 6000);
+  }
+  
+  /**
+   * Hide the toast
+   */
+  static hideToast() {
+    clearTimeout(Undo.toastTimeoutId);
+    Undo.toast.hidden = true;
+  }
+  
+  /**
+   * Handle the toast button - undo or redo
+   */
+  static onToastClick() {
+    Undo.hideToast();
+    Undo.toastAction?.();
+  }
+  
+  /**
+   * Handle Ctrl/Cmd+Z (undo) and Ctrl/Cmd+Shift+Z or Ctrl/Cmd+Y (redo)
+   * Text fields keep their own undo, except the search box while it is empty,
+   * since it has the focus whenever the panel opens
+   * @param {KeyboardEvent} event - The keydown event
+   */
+  static onKeyDown(event) {
+    if (!(event.ctrlKey || event.metaKey) || event.altKey) return;
+    
+    const isEmptySearch = event.target.id === "search-input" && event.target.value === "";
+    if (event.target.matches("input, textarea, select") && !isEmptySearch) return;
+    
+    const key = event.key.toLowerCase();
+    if (key === "z") {
+      event.preventDefault();
+      if (event.shiftKey) {
+        Undo.redo();
+      } else {
+        Undo.undo();
+      }
+    } else if (key === "y") {
+      event.preventDefault();
+      Undo.redo();
+    }
+  }
+}
+
+// ============================================================================
+// Settings Class - Manages Extension Settings
+// ============================================================================
+
+/**
+ * Handles extension settings and preferences
+ */
+class Settings {
+  /**
+   * Initialize settings system and load saved preferences
+   */
+  static async init() {
+    Settings.container = document.getElementById("settings-container");
+    
+    // Set up event listeners
+    document.getElementById("settings-icon").addEventListener("click", Settings.show);
+    document.getElementById("settings-save").addEventListener("click", Settings.save);
+    document.getElementById("settings-close").addEventListener("click", Settings.hide);
+    document.getElementById("settings-sidebar-position").addEventListener("click", Settings.openBrwoserSetting);
+    document.getElementById("settings-sidebar-shortcut").addEventListener("click", Settings.openExtensionShortcut);
+    document.getElementById("settings-copyPreset").addEventListener("change", Settings.onCopyPresetChanged);
+    document.getElementById("settings-copyTemplate").addEventListener("input", Settings.onCopyTemplateInput);
+    
+    // Load saved settings with defaults
+    Settings.settings = await chrome.storage.sync.get({
+      showNewtabButton: false,
+      searchPosition: "top",
+      fontSize: "normal",
+      pinMode: "normal",
+      closeByDoubleClick: true,
+      theme: "system",
+      treeMode: false,
+      allWindows: false,
+      showPreview: true,
+      previewScreenshots: false,
+      autoDiscard: false,
+      autoDiscardMinutes: 60,
+      cleanupDays: 7,
+      duplicateCompare: "hash",
+      switchToDuplicate: false,
+      searchBookmarks: false,
+      searchHistory: false,
+      searchMode: "results",
+      groupRules: [],
+      copyTemplate: "[{title}]({url})",
+    });
+    
+    // Apply settings changed here or in another instance
+    chrome.storage.sync.onChanged.addListener(Settings.onChanged);
+    
+    // Apply settings to UI
+    if (Settings.settings.searchPosition === "top") {
+      Main.parentElement.classList.add("reverse");
+    }
+    
+    if (Settings.settings.fontSize === "small") {
+      Main.classList.add("font-small");
+    }
+    
+    if (Settings.settings.treeMode) {
+      Main.classList.add("tree-mode");
+    }
+    
+    if (Settings.settings.showNewtabButton) {
+      Tabs.initNewtabBtn();
+    }
+    
+    Settings.setTheme(Settings.settings.theme);
+  }
+  
+  /**
+   * Handle settings changes - apply live where possible, otherwise reload the panel
+   * @param {object} changes - Changed keys with their old and new values
+   */
+  static onChanged(changes) {
+    const liveKeys = [
+      "pinMode",
+      "autoDiscard",
+      "autoDiscardMinutes",
+      "cleanupDays",
+      "switchToDuplicate",
+      "groupRules",
+    ];
+    const changedKeys = Object.keys(changes);
+    
+    if (!changedKeys.every((key) => liveKeys.includes(key))) {
+      location.reload();
+      return;
+    }
+    
+    for (const key of changedKeys) {
+      Settings.settings[key] = changes[key].newValue;
+    }
+    Tabs.scheduleSync(0);
+  }
+  
+  /**
+   * Get the closeByDoubleClick setting
+   * @returns {boolean} Whether double-click to close is enabled
+   */
+  static get closeByDoubleClick() {
+    return Settings.settings.closeByDoubleClick;
+  }
+  
+  /**
+   * Show the settings dialog
+   */
+  static show() {
+    document.getElementById("settings-newtab").checked = Settings.settings.showNewtabButton;
+    document.getElementById("settings-closeByDoubleClick").checked = Settings.settings.closeByDoubleClick;
+    document.getElementById("settings-treeMode").checked = Settings.settings.treeMode;
+    document.getElementById("settings-allWindows").checked = Settings.settings.allWindows;
+    document.getElementById("settings-showPreview").checked = Settings.settings.showPreview;
+    document.getElementById("settings-previewScreenshots").checked = Settings.settings.previewScreenshots;
+    document.getElementById("settings-autoDiscard").checked = Settings.settings.autoDiscard;
+    document.getElementById("settings-autoDiscardMinutes").value = Settings.settings.autoDiscardMinutes;
+    document.getElementById("settings-switchToDuplicate").checked = Settings.settings.switchToDuplicate;
+    document.getElementById("settings-searchBookmarks").checked = Settings.settings.searchBookmarks;
+    document.getElementById("settings-searchHistory").checked = Settings.settings.searchHistory;
+    document.getElementById("settings-duplicateCompare").value = Settings.settings.duplicateCompare;
+    document.getElementById("settings-search").value = Settings.settings.searchPosition;
+    document.getElementById("settings-searchMode").value = Settings.settings.searchMode;
+    document.getElementById("settings-font").value = Settings.settings.fontSize;
+    document.getElementById("settings-pinMode").value = Settings.settings.pinMode;
+    document.getElementById("settings-theme").value = Settings.settings.theme;
+    GroupRules.show(Settings.settings.groupRules);
+    document.getElementById("settings-copyTemplate").value = Settings.settings.copyTemplate;
+    document.getElementById("settings-copyPreset").value = CopyTabs.getPreset(Settings.settings.copyTemplate);
+    Settings.container.showModal();
+  }
+  
+  /**
+   * Hide the settings dialog
+   */
+  static hide() {
+    Settings.container.close();
+  }
+  
+  /**
+   * Save settings to Chrome storage
+   */
+  static async save() {
+    Settings.hide();
+    
+    // Ask for the permissions of newly enabled settings at once, while we still have the user gesture
+    const permissionSettings = [
+      { key: "previewScreenshots", permissions: [], origins: ["<all_urls>"] },
+      { key: "searchBookmarks", permissions: ["bookmarks"], origins: [] },
+      { key: "searchHistory", permissions: ["history"], origins: [] },
+    ];
+    const newlyEnabled = permissionSettings.filter((setting) =>
+      document.getElementById(`settings-${setting.key}`).checked && !Settings.settings[setting.key]
+    );
+    if (newlyEnabled.length > 0) {
+      const granted = await chrome.permissions.request({
+        permissions: newlyEnabled.flatMap((setting) => setting.permissions),
+        origins: newlyEnabled.flatMap((setting) => setting.origins),
+      });
+      if (!granted) {
+        for (const setting of newlyEnabled) {
+          document.getElementById(`settings-${setting.key}`).checked = false;
+        }
+      }
+    }
+    
+    const newSettings = {
+      showNewtabButton: document.getElementById("settings-newtab").checked,
+      closeByDoubleClick: document.getElementById("settings-closeByDoubleClick").checked,
+      treeMode: document.getElementById("settings-treeMode").checked,
+      allWindows: document.getElementById("settings-allWindows").checked,
+      showPreview: document.getElementById("settings-showPreview").checked,
+      previewScreenshots: document.getElementById("settings-previewScreenshots").checked,
+      autoDiscard: document.getElementById("settings-autoDiscard").checked,
+      autoDiscardMinutes: Math.max(1, parseInt(document.getElementById("settings-autoDiscardMinutes").value) || 60),
+      switchToDuplicate: document.getElementById("settings-switchToDuplicate").checked,
+      searchBookmarks: document.getElementById("settings-searchBookmarks").checked,
+      searchHistory: document.getElementById("settings-searchHistory").checked,
+      duplicateCompare: document.getElementById("settings-duplicateCompare").value,
+      groupRules: GroupRules.read(),
+      copyTemplate: document.getElementById("settings-copyTemplate").value || CopyTabs.presets.markdown,
+      searchPosition: document.getElementById("settings-search").value,
+      searchMode: document.getElementById("settings-searchMode").value,
+      fontSize: document.getElementById("settings-font").value,
+      pinMode: document.getElementById("settings-pinMode").value,
+      theme: document.getElementById("settings-theme").value,
+    };
+    
+    await chrome.storage.sync.set(newSettings);
+  }
+  
+  /**
+   * Fill in the template of the chosen copy preset
+   * @param {Event} event - The change event
+   */
+  static onCopyPresetChanged(event) {
+    const template = CopyTabs.presets[event.target.value];
+    if (template) {
+      document.getElementById("settings-copyTemplate").value = template;
+    }
+  }
+  
+  /**
+   * Switch the copy preset to "custom" once the template is edited
+   * @param {Event} event - The input event
+   */
+  static onCopyTemplateInput(event) {
+    document.getElementById("settings-copyPreset").value = CopyTabs.getPreset(event.target.value);
+  }
+  
+  /**
+   * Open Chrome appearance settings
+   * @param {MouseEvent} event - The click event
+   */
+  static openBrwoserSetting(event) {
+    event.preventDefault();
+    chrome.tabs.create({ url: "chrome://settings/appearance" });
+  }
+  
+  /**
+   * Open Chrome extension shortcuts page
+   * @param {MouseEvent} event - The click event
+   */
+  static openExtensionShortcut(event) {
+    event.preventDefault();
+    const extensionName = chrome.i18n.getMessage("extName");
+    const shortcutsUrl = "chrome://extensions/shortcuts#:~:text=" + encodeURIComponent(extensionName);
+    chrome.tabs.create({ url: shortcutsUrl });
+  }
+  
+  /**
+   * Set the theme (light/dark/system)
+   * @param {string} theme - The theme to apply
+   */
+  static setTheme(theme) {
+    const darkCss = document.getElementById("dark-css");
+    
+    if (theme === "light") {
+      darkCss.disabled = true;
+    } else if (theme === "dark") {
+      darkCss.disabled = false;
+    } else {
+      // System theme - follow OS preference
+      const prefersDark = window.matchMedia("(prefers-color-scheme: dark)");
+      Settings.setTheme(prefersDark.matches ? "dark" : "light");
+      
+      prefersDark.addEventListener("change", ({ matches }) => {
+        Settings.setTheme(matches ? "dark" : "light");
+      });
+    }
+  }
+}
+
+// ============================================================================
+// GroupRules Class - Editor for Automatic Grouping Rules
+// ============================================================================
+
+/**
+ * Edits the rules the service worker uses to group tabs automatically
+ * Rules are kept in the settings dialog until it is saved
+ */
+class GroupRules {
+  /**
+   * Initialize the rules editor
+   */
+  static init() {
+    GroupRules.list = document.getElementById("settings-rules");
+    GroupRules.result = document.getElementById("settings-rules-result");
+    GroupRules.colors = ["grey", "blue", "red", "yellow", "green", "pink", "purple", "cyan", "orange"];
+    
+    GroupRules.list.addEventListener("click", GroupRules.onListClick);
+    GroupRules.list.addEventListener("input", GroupRules.onListInput);
+    document.getElementById("settings-rules-add").addEventListener("click", GroupRules.addRule);
+    document.getElementById("settings-rules-dry-run").addEventListener("click", GroupRules.dryRun);
+    document.getElementById("settings-rules-apply").addEventListener("click", GroupRules.apply);
+  }
+  
+  /**
+   * Fill the editor with the saved rules
+   * @param {object[]} rules - Rules in priority order
+   */
+  static show(rules) {
+    GroupRules.list.replaceChildren(...rules.map(GroupRules.createRow));
+    GroupRules.result.replaceChildren();
+  }
+  
+  /**
+   * Create the editor row for a rule
+   * @param {object} rule - The rule, with type, pattern, group and color
+   * @returns {HTMLElement} The row element
+   */
+  static createRow(rule) {
+    const row = document.createElement("div");
+    row.className = "rule-item";
+    
+    const typeSelect = document.createElement("select");
+    typeSelect.className = "rule-type";
+    for (const type of ["url", "domain", "title"]) {
+      typeSelect.add(new Option(chrome.i18n.getMessage(`ruleType_${type}`), type));
+    }
+    typeSelect.value = rule.type;
+    
+    const patternInput = document.createElement("input");
+    patternInput.className = "rule-pattern";
+    patternInput.type = "text";
+    patternInput.spellcheck = false;
+    patternInput.value = rule.pattern;
+    
+    const groupInput = document.createElement("input");
+    groupInput.className = "rule-group";
+    groupInput.type = "text";
+    groupInput.placeholder = chrome.i18n.getMessage("groupNamePlaceholder");
+    groupInput.value = rule.group;
+    
+    const colorSelect = document.createElement("select");
+    colorSelect.className = "rule-color";
+    for (const color of GroupRules.colors) {
+      const messageName = `groupColor${color[0].toUpperCase()}${color.substring(1)}`;
+      colorSelect.add(new Option(chrome.i18n.getMessage(messageName), color));
+    }
+    colorSelect.value = rule.color;
+    
+    row.append(
+      typeSelect,
+      patternInput,
+      groupInput,
+      colorSelect,
+      GroupRules.createButton("rule-up", "img/expand_less.svg", "ruleMoveUp"),
+      GroupRules.createButton("rule-down", "img/expand_less.svg", "ruleMoveDown"),
+      GroupRules.createButton("rule-delete", "img/close.svg", "ruleDelete")
+    );
+    GroupRules.updatePattern(row);
+    return row;
+  }
+  
+  /**
+   * Create an icon button for a rule row
+   * @param {string} className - The button class
+   * @param {string} src - The icon path
+   * @param {string} messageName - i18n message for the tooltip
+   * @returns {HTMLButtonElement} The button element
+   */
+  static createButton(className, src, messageName) {
+    const button = document.createElement("button");
+    const icon = document.createElement("img");
+    
+    button.type = "button";
+    button.className = `rule-btn ${className}`;
+    button.title = chrome.i18n.getMessage(messageName);
+    icon.src = src;
+    button.appendChild(icon);
+    return button;
+  }
+  
+  /**
+   * Update the pattern placeholder and validity for the rule type
+   * @param {HTMLElement} row - The rule row
+   */
+  static updatePattern(row) {
+    const type = row.querySelector(".rule-type").value;
+    const patternInput = row.querySelector(".rule-pattern");
+    patternInput.placeholder = chrome.i18n.getMessage(`rulePattern_${type}`);
+    
+    let validity = "";
+    if (type === "title") {
+      try {
+        new RegExp(patternInput.value, "i");
+      } catch {
+        validity = chrome.i18n.getMessage("ruleInvalidRegex");
+      }
+    }
+    patternInput.setCustomValidity(validity);
+    patternInput.title = validity;
+  }
+  
+  /**
+   * Handle the move and delete buttons of the rule rows
+   * @param {MouseEvent} event - The click event
+   */
+  static onListClick(event) {
+    const button = event.target.closest(".rule-btn");
+    if (!button) return;
+    
+    const row = button.closest(".rule-item");
+    if (button.classList.contains("rule-up")) {
+      row.previousElementSibling?.before(row);
+    } else if (button.classList.contains("rule-down")) {
+      row.nextElementSibling?.after(row);
+    } else if (button.classList.contains("rule-delete")) {
+      row.remove();
+    }
+  }
+  
+  /**
+   * Revalidate a row when its type or pattern changes
+   * @param {Event} event - The input event
+   */
+  static onListInput(event) {
+    const row = event.target.closest(".rule-item");
+    if (row) {
+      GroupRules.updatePattern(row);
+    }
+  }
+  
+  /**
+   * Add an empty rule at the end
+   */
+  static addRule() {
+    const row = GroupRules.createRow({ type: "domain", pattern: "", group: "", color: "grey" });
+    GroupRules.list.appendChild(row);
+    row.querySelector(".rule-pattern").focus();
+  }
+  
+  /**
+   * Read the rules from the editor, skipping incomplete and invalid ones
+   * @returns {object[]} Rules in priority order
+   */
+  static read() {
+    const rules = [];
+    
+    for (const row of GroupRules.list.querySelectorAll(".rule-item")) {
+      const patternInput = row.querySelector(".rule-pattern");
+      const rule = {
+        type: row.querySelector(".rule-type").value,
+        pattern: patternInput.value.trim(),
+        group: row.querySelector(".rule-group").value.trim(),
+        color: row.querySelector(".rule-color").value,
+      };
+      
+      if (rule.pattern && rule.group && patternInput.checkValidity()) {
+        rules.push(rule);
+      }
+    }
+    return rules;
+  }
+  
+  /**
+   * List the open tabs the rules would group, without changing anything
+   */
+  static dryRun() {
+    return GroupRules.run(true, "ruleDryRunResult");
+  }
+  
+  /**
+   * Group the open tabs the rules match
+   */
+  static apply() {
+    return GroupRules.run(false, "ruleApplyResult");
+  }
+  
+  /**
+   * Have the service worker apply the rules to the open tabs, and show the outcome
+   * @param {boolean} dryRun - Only report the matches
+   * @param {string} messageName - i18n message for the summary, given the count
+   */
+  static async run(dryRun, messageName) {
+    let matches;
+    try {
+      matches = await chrome.runtime.sendMessage({
+        type: "Apply-Group-Rules",
+        rules: GroupRules.read(),
+        dryRun: dryRun,
+      });
+    } catch (error) {
+      console.error(error);
+    }
+    
+    // The worker answers with an error object, or not at all, when applying fails
+    if (!Array.isArray(matches)) {
+      const summary = document.createElement("div");
+      summary.textContent = chrome.i18n.getMessage("ruleApplyFailed");
+      GroupRules.result.replaceChildren(summary);
+      return;
+    }
+    GroupRules.showResult(matches, messageName);
+  }
+  
+  /**
+   * Show which tabs were or would be grouped
+   * @param {object[]} matches - Tab titles with their group name and color
+   * @param {string} messageName - i18n message for the summary, given the count
+   */
+  static showResult(matches, messageName) {
+    const summary = document.createElement("div");
+    summary.textContent = chrome.i18n.getMessage(messageName, [matches.length]);
+    GroupRules.result.replaceChildren(summary);
+    
+    for (const match of matches) {
+      const line = document.createElement("div");
+      const groupLabel = document.createElement("span");
+      
+      line.className = "rule-result";
+      line.title = match.title;
+      groupLabel.className = "rule-result-group";
+      groupLabel.style.backgroundColor = `var(--group-color-${match.color})`;
+      groupLabel.style.color = `var(--group-color-${match.color}-text)`;
+      groupLabel.textContent = match.group;
+      
+      line.append(groupLabel, match.title);
+      GroupRules.result.appendChild(line);
+    }
+  }
+}
+
+// ============================================================================
+// Groups Class - Manages Tab Groups
+// ============================================================================
+
+/**
+ * Handles tab group creation, updates, and organization
+ */
+class Groups {
+  /**
+   * Initialize the groups system and set up event listeners
+   */
+  static async init() {
+    chrome.tabGroups.onCreated.addListener(Groups.onCreated);
+    chrome.tabGroups.onUpdated.addListener(Groups.onUpdated);
+    chrome.tabGroups.onRemoved.addListener(Groups.onRemoved);
+    chrome.tabGroups.onMoved.addListener(Groups.onMoved);
+    
+    // Store color class names for easy class manipulation
+    Groups.Colors = Object.values(chrome.tabGroups.Color).map(
+      (color) => `group-color-${color}`
+    );
+    
+    // Initialize cache with current groups
+    Groups.cache = new Map();
+    const allGroups = await chrome.tabGroups.query({});
+    for (const group of allGroups) {
+      Groups.cache.set(group.id, group);
+    }
+  }
+  
+  /**
+   * Get a group by ID, using cache or fetching from Chrome API
+   * @param {number} groupId - The group ID to retrieve
+   * @returns {Promise<chrome.tabGroups.TabGroup|null>} The group object or null if not found
+   */
+  static async get(groupId) {
+    let group = Groups.cache.get(groupId);
+    if (group) return group;
+    
+    try {
+      group = await chrome.tabGroups.get(groupId);
+      if (group) {
+        Groups.cache.set(group.id, group);
+      }
+      return group;
+    } catch (error) {
+      return null;
+    }
+  }
+  /**
+   * Handle group creation event
+   * @param {chrome.tabGroups.TabGroup} group - The newly created group
+   */
+  static onCreated(group) {
+    Groups.cache.set(group.id, group);
+  }
+  
+  /**
+   * Handle group update event
+   * @param {chrome.tabGroups.TabGroup} group - The updated group
+   */
+  static onUpdated(group) {
+    Groups.cache.set(group.id, group);
+    
+    // Update UI if this group is in a shown window
+    if (!WindowSections.isShown(group.windowId)) return;
+    
+    const groupElement = document.getElementById(`group-${group.id}`);
+    if (!groupElement) return;
+    
+    Groups.patchGroup(groupElement, group);
+  }
+  
+  /**
+   * Update the color, title, and collapsed state of a group element
+   * @param {HTMLElement} groupElement - The group element to update
+   * @param {chrome.tabGroups.TabGroup} group - The group data
+   */
+  static patchGroup(groupElement, group) {
+    Groups.updateColor(groupElement, group.color);
+    Groups.updateTitle(groupElement.querySelector(".group-label"), group.title);
+    
+    if (group.collapsed) {
+      groupElement.classList.add("collapse");
+    } else {
+      groupElement.classList.remove("collapse");
+    }
+  }
+  
+  /**
+   * Get the element for a group, patching an existing one or creating it
+   * @param {chrome.tabGroups.TabGroup} group - The group data
+   * @returns {HTMLElement} The group container element
+   */
+  static getOrCreateGroup(group) {
+    const groupElement = document.getElementById(`group-${group.id}`);
+    
+    if (!groupElement) {
+      return Groups.createGroup(group);
+    }
+    
+    Groups.patchGroup(groupElement, group);
+    return groupElement;
+  }
+  
+  /**
+   * Handle group move event
+   * @param {chrome.tabGroups.TabGroup} group - The moved group
+   */
+  static onMoved(group) {
+    // The group may have moved to another window
+    Groups.cache.set(group.id, group);
+    
+    if (WindowSections.isShown(group.windowId)) {
+      Tabs.scheduleSync();
+    }
+  }
+  
+  /**
+   * Handle group removal event
+   * @param {chrome.tabGroups.TabGroup} group - The removed group
+   */
+  static onRemoved(group) {
+    Groups.cache.delete(group.id);
+    
+    const groupElement = document.getElementById(`group-${group.id}`);
+    if (!groupElement) return;
+    
+    // Move tabs out of group element before removing it
+    groupElement.before(...groupElement.querySelectorAll(".tab-item"));
+    groupElement.remove();
+  }
+  /**
+   * Create a group DOM element
+   * @param {chrome.tabGroups.TabGroup} group - The group data
+   * @returns {HTMLElement} The group container element
+   */
+  static createGroup(group) {
+    const groupContainer = document.createElement("div");
+    groupContainer.id = `group-${group.id}`;
+    groupContainer.className = `group-item group-color-${group.color}`;
+    
+    // Create group header
+    const groupHeader = document.createElement("div");
+    groupHeader.className = "group-header";
+    
+    const groupLabel = document.createElement("div");
+    Groups.updateTitle(groupLabel, group.title);
+    groupLabel.className = "group-label";
+    
+    // Create close button (replaces the old expand icon)
+    const closeButton = document.createElement("img");
+    closeButton.src = "img/close.svg";
+    closeButton.className = "group-close-icon";
+    closeButton.addEventListener("click", Groups.onCloseClick);
+    closeButton.addEventListener("dblclick", stopEvent);
+    
+    groupHeader.append(groupLabel, closeButton);
+    
+    if (group.collapsed) {
+      groupContainer.classList.add("collapse");
+    }
+    
+    // Click on header (but not on close button) toggles collapse
+    groupHeader.addEventListener("click", Groups.onHeaderClick);
+    
+    // Create outer wrapper for header (for drag-drop)
+    const headerOuter = document.createElement("div");
+    headerOuter.className = "group-header-outer";
+    headerOuter.tabIndex = -1;
+    headerOuter.appendChild(groupHeader);
+    headerOuter.addEventListener("contextmenu", ContextMenu.showGroupMenu);
+    DnD.initGroupDrag(headerOuter);
+    
+    // Create body container for tabs
+    const groupBody = document.createElement("div");
+    groupBody.className = "group-body";
+    
+    groupContainer.append(headerOuter, groupBody);
+    return groupContainer;
+  }
+  /**
+   * Check if a tab element is inside a group
+   * @param {HTMLElement} tabElement - The tab element to check
+   * @returns {boolean} True if tab is in a group
+   */
+  static isInGroup(tabElement) {
+    return tabElement.parentElement.classList.contains("group-body");
+  }
+  
+  /**
+   * Check if a tab element is positioned after a group
+   * @param {HTMLElement} tabElement - The tab element to check
+   * @returns {boolean} True if previous sibling is a group
+   */
+  static isAfterGroup(tabElement) {
+    return tabElement.previousElementSibling?.classList.contains("group-item");
+  }
+  
+  /**
+   * Update the title text of a group label
+   * @param {HTMLElement} labelElement - The label element to update
+   * @param {string} title - The new title text
+   */
+  static updateTitle(labelElement, title) {
+    title = title.trim();
+    // Use zero-width space if title is empty
+    if (title.length === 0) {
+      title = "\u200b";
+    }
+    labelElement.textContent = title;
+  }
+  
+  /**
+   * Update the color class of a group element
+   * @param {HTMLElement} groupElement - The group element to update
+   * @param {string} color - The new color name
+   */
+  static updateColor(groupElement, color) {
+    groupElement.classList.remove(...Groups.Colors);
+    groupElement.classList.add(`group-color-${color}`);
+  }
+  
+  /**
+   * Handle group header click - toggle collapse state
+   * @param {MouseEvent} event - The click event
+   */
+  static onHeaderClick(event) {
+    // Don't toggle collapse if clicking on the close button
+    if (event.target.classList.contains("group-close-icon")) {
+      return;
+    }
+    
+    const groupElement = event.currentTarget.closest(".group-item");
+    const groupId = parseInt(groupElement.id.substring(6));
+    
+    chrome.tabGroups.update(groupId, {
+      collapsed: !groupElement.classList.contains("collapse"),
+    });
+  }
+  
+  /**
+   * Handle group close button click - close all tabs in the group
+   * @param {MouseEvent} event - The click event
+   */
+  static onCloseClick(event) {
+    event.preventDefault();
+    event.stopPropagation();
+    
+    const groupElement = event.currentTarget.closest(".group-item");
+    const groupId = parseInt(groupElement.id.substring(6));
+    
+    // Get all tabs in this group and close them
+    chrome.tabs.query({ groupId: groupId }, function (tabs) {
+      const tabsToClose = tabs.map((tab) => tab.id);
+      
+      if (tabsToClose.length > 0) {
+        Undo.record("undoCloseGroup", tabsToClose, () => chrome.tabs.remove(tabsToClose));
+      }
+    });
+  }
+}
+
+// ============================================================================
+// WindowSections Class - One Collapsible Section per Window
+// ============================================================================
+
+/**
+ * Shows every normal window as its own section in the all-windows view
+ * Names and collapsed states live in session storage, since window IDs
+ * don't survive a browser restart
+ */
+class WindowSections {
+  /**
+   * Load the stored section states and follow windows opening and closing
+   */
+  static async init() {
+    /** Section state by window ID: { name, collapsed } */
+    WindowSections.states = {};
+    
+    if (!WindowSections.enabled) return;
+    
+    const stored = await chrome.storage.session.get({ windowSections: {} });
+    WindowSections.states = stored.windowSections;
+    
+    chrome.windows.onCreated.addListener(() => Tabs.scheduleSync());
+    chrome.windows.onRemoved.addListener(WindowSections.onWindowRemoved);
+  }
+  
+  /**
+   * Whether the all-windows view is turned on in settings
+   * @returns {boolean} True if every window is shown
+   */
+  static get enabled() {
+    return Settings.settings.allWindows;
+  }
+  
+  /**
+   * Whether the tabs of a window are shown in the panel
+   * @param {number} windowId - The window ID
+   * @returns {boolean} True if the window is shown
+   */
+  static isShown(windowId) {
+    return WindowSections.enabled || windowId === WindowId;
+  }
+  
+  /**
+   * Get the tab list element of a window
+   * @param {number} windowId - The window ID
+   * @returns {HTMLElement|null} The tab list, or null if the window isn't shown
+   */
+  static getList(windowId) {
+    if (!WindowSections.enabled) {
+      return windowId === WindowId ? Tabs.getMainList() : null;
+    }
+    return document.getElementById(`window-${windowId}`)?.lastElementChild ?? null;
+  }
+  
+  /**
+   * Get the window a tab list belongs to
+   * @param {HTMLElement} tabList - A tab list element
+   * @returns {number} The window ID
+   */
+  static getWindowId(tabList) {
+    const section = tabList.closest(".window-section");
+    return section ? parseInt(section.id.substring(7)) : WindowId;
+  }
+  
+  /**
+   * Get the name of a window, falling back to its position
+   * @param {number} windowId - The window ID
+   * @param {number} index - Position of the window in the list
+   * @returns {string} The window name
+   */
+  static getName(windowId, index) {
+    return WindowSections.states[windowId]?.name ||
+      chrome.i18n.getMessage("windowDefaultName", [index + 1]);
+  }
+  
+  /**
+   * Patch the window sections so they match the given windows
+   * @param {chrome.windows.Window[]} windows - All normal windows, with their tabs
+   * @param {Map<number, chrome.tabs.TabGroup>} groupInfos - Groups used by the tabs
+   */
+  static reconcile(windows, groupInfos) {
+    const windowList = Tabs.getMainList();
+    windowList.classList.add("window-list");
+    
+    const sections = windows.map(function (windowInfo, index) {
+      const section = WindowSections.getOrCreateSection(windowInfo.id, windowList);
+      WindowSections.updateName(section, index);
+      Tabs.reconcile(section.lastElementChild, windowInfo.tabs, groupInfos);
+      return section;
+    });
+    
+    Tabs.placeChildren(windowList, sections);
+    for (const section of windowList.querySelectorAll(":scope > .window-section")) {
+      if (!sections.includes(section)) {
+        section.remove();
+      }
+    }
+    
+    WindowSections.updateCounts();
+  }
+  
+  /**
+   * Get the section of a window, appending a new one to the list if needed
+   * New sections go into the document right away so their first build can scroll
+   * @param {number} windowId - The window ID
+   * @param {HTMLElement} windowList - The list of all sections
+   * @returns {HTMLElement} The section element
+   */
+  static getOrCreateSection(windowId, windowList) {
+    let section = document.getElementById(`window-${windowId}`);
+    if (section) return section;
+    
+    section = document.createElement("details");
+    section.id = `window-${windowId}`;
+    section.className = "window-section";
+    section.classList.toggle("window-current", windowId === WindowId);
+    section.open = !WindowSections.states[windowId]?.collapsed;
+    section.addEventListener("toggle", WindowSections.onToggle);
+    
+    // Dropping on the header moves the dragged tab or group to the end of the window
+    const header = document.createElement("summary");
+    header.className = "window-header";
+    header.dataset.windowId = windowId;
+    DnD.initWindowDrop(header);
+    
+    const nameElement = document.createElement("span");
+    nameElement.className = "window-name";
+    nameElement.title = chrome.i18n.getMessage("windowRenameHint");
+    nameElement.addEventListener("dblclick", WindowSections.onNameDoubleClick);
+    
+    const countElement = document.createElement("span");
+    countElement.className = "window-count";
+    
+    header.append(nameElement, countElement);
+    
+    const tabList = document.createElement("div");
+    section.append(header, tabList);
+    windowList.appendChild(section);
+    return section;
+  }
+  
+  /**
+   * Show the window's custom name, or its position when it has none
+   * @param {HTMLElement} section - The section element
+   * @param {number} index - Position of the window in the list
+   */
+  static updateName(section, index) {
+    const windowId = parseInt(section.id.substring(7));
+    const nameElement = section.querySelector(".window-name");
+    
+    // Leave the name alone while it is being edited
+    if (nameElement.querySelector("input")) return;
+    
+    nameElement.textContent = WindowSections.getName(windowId, index);
+  }
+  
+  /**
+   * Show the number of tabs in each section header
+   */
+  static updateCounts() {
+    if (!WindowSections.enabled) return;
+    
+    for (const section of document.querySelectorAll(".window-section")) {
+      const count = section.lastElementChild.querySelectorAll(".tab-item").length;
+      section.querySelector(".window-count").textContent = count;
+    }
+  }
+  
+  /**
+   * Update the stored state of a window and persist it
+   * @param {number} windowId - The window ID
+   * @param {object} changes - The state properties to change
+   */
+  static setState(windowId, changes) {
+    WindowSections.states[windowId] = { ...WindowSections.states[windowId], ...changes };
+    chrome.storage.session.set({ windowSections: WindowSections.states });
+  }
+  
+  /**
+   * Remember whether a section was collapsed or expanded
+   * @param {Event} event - The toggle event
+   */
+  static onToggle(event) {
+    const section = event.currentTarget;
+    const windowId = parseInt(section.id.substring(7));
+    const collapsed = !section.open;
+    
+    if (!!WindowSections.states[windowId]?.collapsed !== collapsed) {
+      WindowSections.setState(windowId, { collapsed: collapsed });
+    }
+  }
+  
+  /**
+   * Replace the window name with an input to rename the window
+   * Enter or leaving the input saves, Escape cancels, an empty name resets it
+   * @param {MouseEvent} event - The double click event
+   */
+  static onNameDoubleClick(event) {
+    event.preventDefault();
+    
+    const nameElement = event.currentTarget;
+    if (nameElement.querySelector("input")) return;
+    
+    const windowId = parseInt(nameElement.closest(".window-section").id.substring(7));
+    const input = document.createElement("input");
+    input.value = WindowSections.states[windowId]?.name || "";
+    input.placeholder = nameElement.textContent;
+    
+    let done = false;
+    const finish = function (save) {
+      if (done) return;
+      done = true;
+      
+      if (save) {
+        WindowSections.setState(windowId, { name: input.value.trim() });
+      }
+      input.remove();
+      Tabs.scheduleSync(0);
+    };
+    
+    // Keep clicks and keys in the input from toggling the section
+    input.addEventListener("click", stopEvent);
+    input.addEventListener("keydown", function (event) {
+      event.stopPropagation();
+      if (event.key === "Enter" || event.key === "Escape") {
+        event.preventDefault();
+        finish(event.key === "Enter");
+      }
+    });
+    input.addEventListener("blur", () => finish(true));
+    
+    nameElement.replaceChildren(input);
+    input.focus();
+  }
+  
+  /**
+   * Forget the state of a closed window and drop its section
+   * @param {number} windowId - ID of the closed window
+   */
+  static onWindowRemoved(windowId) {
+    if (WindowSections.states[windowId]) {
+      delete WindowSections.states[windowId];
+      chrome.storage.session.set({ windowSections: WindowSections.states });
+    }
+    
+    document.getElementById(`window-${windowId}`)?.remove();
+  }
+}
+
+// ============================================================================
+// Tree Class - Tree-Style Nesting Based on Opener Relationships
+// ============================================================================
+
+/**
+ * Nests tabs under the tab that opened them
+ * Tabs are keyed by a UID kept in the tab's session data, so the tree
+ * (stored in extension storage) survives browser restarts
+ */
+class Tree {
+  /**
+   * Load the stored tree and start tracking new and closed tabs
+   */
+  static async init() {
+    /** Tree nodes by tab UID: { parent: uid|null, collapsed: boolean } */
+    Tree.nodes = {};
+    /** Tab ID to UID, and UID to tab ID */
+    Tree.uids = new Map();
+    Tree.tabIds = new Map();
+    /** Layout of the last build by tab ID: { depth, parentId, childIds, collapsed, hidden } */
+    Tree.rows = new Map();
+    Tree.saveTimeoutId = 0;
+    Tree.syncPromise = Promise.resolve();
+    
+    if (!Tree.enabled) return;
+    
+    const stored = await chrome.storage.local.get({ tree: {} });
+    Tree.nodes = stored.tree;
+    
+    chrome.tabs.onRemoved.addListener(Tree.onTabRemoved);
+    
+    // Clean up in the background, the first build doesn't need to wait for it
+    chrome.tabs.query({}).then(Tree.prune);
+  }
+  
+  /**
+   * Forget nodes of tabs that no longer exist in any window
+   * @param {chrome.tabs.Tab[]} allTabs - Tabs of all windows
+   */
+  static async prune(allTabs) {
+    await Tree.sync(allTabs);
+    
+    const liveUids = new Set(Tree.uids.values());
+    for (const uid of Object.keys(Tree.nodes)) {
+      if (!liveUids.has(uid)) {
+        delete Tree.nodes[uid];
+      }
+    }
+    Tree.save();
+  }
+  
+  /**
+   * Whether tree mode is turned on in settings
+   * @returns {boolean} True if tabs are shown as a tree
+   */
+  static get enabled() {
+    return Settings.settings.treeMode;
+  }
+  
+  /**
+   * Make sure every tab has a UID and new tabs are attached to their opener
+   * Calls are queued so a tab never gets two different UIDs
+   * @param {chrome.tabs.Tab[]} tabs - Tabs to sync
+   * @returns {Promise} Resolves when the tabs are synced
+   */
+  static sync(tabs) {
+    Tree.syncPromise = Tree.syncPromise.then(() => Tree.syncNow(tabs));
+    return Tree.syncPromise;
+  }
+  
+  /**
+   * Assign UIDs and opener parents, see sync
+   * @param {chrome.tabs.Tab[]} tabs - Tabs to sync
+   */
+  static async syncNow(tabs) {
+    const newTabs = tabs.filter((tab) => !Tree.uids.has(tab.id));
+    
+    await Promise.all(newTabs.map(async function (tab) {
+      let uid = await chrome.sessions.getTabValue(tab.id, "uid").catch(() => null);
+      if (!uid) {
+        uid = crypto.randomUUID();
+        chrome.sessions.setTabValue(tab.id, "uid", uid).catch(() => {});
+      }
+      Tree.uids.set(tab.id, uid);
+      Tree.tabIds.set(uid, tab.id);
+    }));
+    
+    // Tabs seen for the first time hang below the tab that opened them
+    let changed = false;
+    for (const tab of newTabs) {
+      const uid = Tree.uids.get(tab.id);
+      if (Tree.nodes[uid]) continue;
+      
+      Tree.nodes[uid] = {
+        parent: Tree.uids.get(tab.openerTabId) ?? null,
+        collapsed: false,
+      };
+      changed = true;
+    }
+    
+    if (changed) {
+      Tree.save();
+    }
+  }
+  
+  /**
+   * Persist the tree to extension storage, debounced
+   */
+  static save() {
+    clearTimeout(Tree.saveTimeoutId);
+    Tree.saveTimeoutId = setTimeout(() => chrome.storage.local.set({ tree: Tree.nodes }), 500);
+  }
+  
+  /**
+   * Get the stored node of a tab
+   * @param {number} tabId - The tab ID
+   * @returns {object|undefined} The tree node
+   */
+  static getNode(tabId) {
+    return Tree.nodes[Tree.uids.get(tabId)];
+  }
+  
+  /**
+   * Compute depth and visibility for every tab
+   * A parent only counts if the child follows it directly or after the parent's
+   * other descendants, in the same group; otherwise the child is shown as a root
+   * @param {chrome.tabs.Tab[]} tabs - All shown tabs, window by window, in order
+   */
+  static layout(tabs) {
+    Tree.rows = new Map();
+    let ancestors = [];
+    let lastGroupId = null;
+    let lastWindowId = null;
+    
+    for (const tab of tabs) {
+      const node = Tree.getNode(tab.id);
+      const row = { depth: 0, parentId: null, childIds: [], collapsed: !!node?.collapsed, hidden: false };
+      Tree.rows.set(tab.id, row);
+      
+      // Pinned tabs, group boundaries and window boundaries start a fresh tree
+      if (tab.pinned || tab.groupId !== lastGroupId || tab.windowId !== lastWindowId) {
+        ancestors = [];
+        lastGroupId = tab.groupId;
+        lastWindowId = tab.windowId;
+      }
+      if (tab.pinned) continue;
+      
+      const parentId = Tree.tabIds.get(node?.parent) ?? null;
+      while (ancestors.length > 0 && ancestors[ancestors.length - 1] !== parentId) {
+        ancestors.pop();
+      }
+      
+      if (ancestors.length > 0) {
+        const parentRow = Tree.rows.get(parentId);
+        parentRow.childIds.push(tab.id);
+        row.parentId = parentId;
+        row.depth = ancestors.length;
+        row.hidden = parentRow.hidden || parentRow.collapsed;
+      }
+      ancestors.push(tab.id);
+    }
+  }
+  
+  /**
+   * Apply the computed layout to a tab element
+   * @param {HTMLElement} tabElement - The tab DOM element
+   */
+  static decorate(tabElement) {
+    const row = Tree.rows.get(parseInt(tabElement.id.substring(4)));
+    if (!row) return;
+    
+    tabElement.style.setProperty("--tree-depth", row.depth);
+    tabElement.classList.toggle("tree-parent", row.childIds.length > 0);
+    tabElement.classList.toggle("tree-collapsed", row.collapsed);
+    tabElement.classList.toggle("tree-hidden", row.hidden);
+  }
+  
+  /**
+   * Create the expand/collapse toggle shown in front of the favicon
+   * @returns {HTMLElement} The toggle element
+   */
+  static createTwisty() {
+    const twisty = document.createElement("img");
+    twisty.src = "img/expand_less.svg";
+    twisty.className = "tree-twisty";
+    twisty.addEventListener("click", Tree.onTwistyClick);
+    twisty.addEventListener("dblclick", stopEvent);
+    return twisty;
+  }
+  
+  /**
+   * Handle toggle click - collapse or expand the subtree
+   * @param {MouseEvent} event - The click event
+   */
+  static onTwistyClick(event) {
+    event.preventDefault();
+    event.stopPropagation();
+    Tree.toggle(parseInt(event.currentTarget.parentElement.id.substring(4)));
+  }
+  
+  /**
+   * Collapse or expand the subtree below a tab
+   * @param {number} tabId - The parent tab ID
+   * @param {boolean} [collapsed] - The new state, toggles if omitted
+   */
+  static toggle(tabId, collapsed) {
+    const node = Tree.getNode(tabId);
+    if (!node) return;
+    
+    node.collapsed = collapsed ?? !node.collapsed;
+    Tree.save();
+    Tabs.scheduleSync(0);
+  }
+  
+  /**
+   * Get all descendants of a tab in list order
+   * @param {number} tabId - The parent tab ID
+   * @returns {number[]} Descendant tab IDs
+   */
+  static getDescendants(tabId) {
+    const descendants = [];
+    for (const childId of Tree.rows.get(tabId)?.childIds || []) {
+      descendants.push(childId, ...Tree.getDescendants(childId));
+    }
+    return descendants;
+  }
+  
+  /**
+   * Attach a tab to a new parent (or make it a root)
+   * @param {number} tabId - The tab to move
+   * @param {number|null} parentId - The new parent tab ID
+   */
+  static setParent(tabId, parentId) {
+    const node = Tree.getNode(tabId);
+    if (!node) return;
+    
+    node.parent = parentId === null ? null : Tree.uids.get(parentId) ?? null;
+    Tree.save();
+  }
+  
+  /**
+   * Handle tab removal - children move up to the removed tab's parent
+   * @param {number} tabId - ID of the removed tab
+   * @param {object} removeInfo - Contains isWindowClosing
+   */
+  static onTabRemoved(tabId, removeInfo) {
+    const uid = Tree.uids.get(tabId);
+    Tree.uids.delete(tabId);
+    Tree.tabIds.delete(uid);
+    
+    // Keep the tree of a closing window so it comes back when the window is restored
+    if (!uid || removeInfo.isWindowClosing || !Tree.nodes[uid]) return;
+    
+    const parentUid = Tree.nodes[uid].parent;
+    for (const node of Object.values(Tree.nodes)) {
+      if (node.parent === uid) {
+        node.parent = parentUid;
+      }
+    }
+    delete Tree.nodes[uid];
+    Tree.save();
+  }
+}
+
+// ============================================================================
+// Preview Class - Hover Preview Card for Tabs
+// ============================================================================
+
+/**
+ * Shows a card with tab details after hovering a tab for a moment
+ */
+class Preview {
+  /**
+   * Initialize the preview card and screenshot capturing
+   */
+  static async init() {
+    Preview.card = document.getElementById("tab-preview");
+    Preview.TimeoutId = 0;
+    Preview.tabElement = null;
+    
+    /** Screenshot object URLs by tab ID, oldest first */
+    Preview.screenshots = new Map();
+    Preview.maxScreenshots = 50;
+    
+    if (!Settings.settings.showPreview) return;
+    
+    // The tab list is replaced on rebuild, so listen on the stable container
+    Main.addEventListener("mouseover", Preview.onMouseOver);
+    Main.addEventListener("mouseleave", Preview.hide);
+    Main.addEventListener("scroll", Preview.hide);
+    document.addEventListener("mousedown", Preview.hide, true);
+    document.addEventListener("dragstart", Preview.hide, true);
+    document.addEventListener("contextmenu", Preview.hide, true);
+    chrome.tabs.onRemoved.addListener(Preview.forgetScreenshot);
+    
+    // Screenshots need host access, which is only requested when enabled in settings
+    const canCapture = Settings.settings.previewScreenshots &&
+      await chrome.permissions.contains({ origins: ["<all_urls>"] });
+    if (canCapture) {
+      chrome.tabs.onActivated.addListener(Preview.onTabActivated);
+      chrome.tabs.onUpdated.addListener(Preview.onTabUpdated);
+    }
+  }
+  
+  /**
+   * Start the hover delay when the pointer enters a tab
+   * @param {MouseEvent} event - The mouseover event
+   */
+  static onMouseOver(event) {
+    const tabElement = event.target.closest(".tab-item");
+    
+    if (tabElement === Preview.tabElement) return;
+    
+    Preview.hide();
+    if (!tabElement || DnD.dragging) return;
+    
+    Preview.tabElement = tabElement;
+    Preview.TimeoutId = setTimeout(Preview.show, 600);
+  }
+  
+  /**
+   * Fill in and show the card for the hovered tab
+   */
+  static async show() {
+    const tabElement = Preview.tabElement;
+    if (!tabElement?.isConnected) return;
+    
+    // Fetch fresh data, lastAccessed changes don't fire onUpdated
+    const tab = await chrome.tabs.get(parseInt(tabElement.id.substring(4))).catch(() => null);
+    if (!tab || Preview.tabElement !== tabElement) return;
+    
+    const card = Preview.card;
+    card.querySelector(".preview-title").textContent = tab.title || tab.url || "";
+    card.querySelector(".preview-url").textContent = tab.url || tab.pendingUrl || "";
+    
+    // Domain, group and last-accessed time on one line
+    const details = [];
+    try {
+      details.push(new URL(tab.url).hostname || tab.url);
+    } catch (error) {
+      // Not a parsable URL, the full URL is shown above anyway
+    }
+    const group = Groups.cache.get(tab.groupId);
+    if (group?.title) {
+      details.push(group.title);
+    }
+    if (tab.lastAccessed && !tab.active) {
+      details.push(chrome.i18n.getMessage("previewLastAccessed", [Preview.formatTimeAgo(tab.lastAccessed)]));
+    }
+    card.querySelector(".preview-details").textContent = details.join(" · ");
+    
+    // State flags
+    const flags = [];
+    if (tab.pinned) flags.push(chrome.i18n.getMessage("previewPinned"));
+    if (tab.mutedInfo?.muted) flags.push(chrome.i18n.getMessage("previewMuted"));
+    if (tab.discarded) flags.push(chrome.i18n.getMessage("previewDiscarded"));
+    if (!tab.autoDiscardable) flags.push(chrome.i18n.getMessage("previewProtected"));
+    card.querySelector(".preview-flags").textContent = flags.join(" · ");
+    
+    // Cached screenshot, if we have one
+    const screenshot = card.querySelector(".preview-screenshot");
+    const screenshotUrl = Preview.screenshots.get(tab.id);
+    screenshot.hidden = !screenshotUrl;
+    if (screenshotUrl) {
+      screenshot.src = screenshotUrl;
+    } else {
+      screenshot.removeAttribute("src");
+    }
+    
+    card.classList.add("show");
+    Preview.setPosition(tabElement);
+  }
+  
+  /**
+   * Place the card below the tab, or above it if there is no room
+   * @param {HTMLElement} tabElement - The hovered tab element
+   */
+  static setPosition(tabElement) {
+    const card = Preview.card;
+    const rect = tabElement.getBoundingClientRect();
+    
+    let top = rect.bottom + 4;
+    if (top + card.offsetHeight > window.innerHeight) {
+      top = Math.max(0, rect.top - card.offsetHeight - 4);
+    }
+    card.style.top = top + "px";
+  }
+  
+  /**
+   * Hide the card and cancel a pending show
+   */
+  static hide() {
+    clearTimeout(Preview.TimeoutId);
+    Preview.tabElement = null;
+    Preview.card.classList.remove("show");
+  }
+  
+  /**
+   * Format a timestamp relative to now, e.g. "5 minutes ago"
+   * @param {number} timestamp - Milliseconds since the epoch
+   * @returns {string} The localized relative time
+   */
+  static formatTimeAgo(timestamp) {
+    const formatter = new Intl.RelativeTimeFormat(chrome.i18n.getUILanguage(), { numeric: "auto" });
+    const seconds = Math.round((timestamp - Date.now()) / 1000);
+    const units = [
+      ["day", 86400],
+      ["hour", 3600],
+      ["minute", 60],
+    ];
+    
+    for (const [unit, size] of units) {
+      if (Math.abs(seconds) >= size) {
+        return formatter.format(Math.round(seconds / size), unit);
+      }
+    }
+    return formatter.format(seconds, "second");
+  }
+  
+  /**
+   * Capture the newly activated tab once it had a moment to paint
+   * @param {object} activeInfo - Contains tabId and windowId
+   */
+  static onTabActivated(activeInfo) {
+    setTimeout(() => Preview.capture(activeInfo.tabId, activeInfo.windowId), 500);
+  }
+  
+  /**
+   * Capture the active tab again when it finishes loading
+   * @param {number} tabId - ID of the updated tab
+   * @param {object} changeInfo - Changed properties
+   * @param {chrome.tabs.Tab} tab - The updated tab
+   */
+  static onTabUpdated(tabId, changeInfo, tab) {
+    if (changeInfo.status === "complete" && tab.active) {
+      Preview.capture(tabId, tab.windowId);
+    }
+  }
+  
+  /**
+   * Take a small screenshot of a window's visible tab and cache it
+   * @param {number} tabId - The tab expected to be visible
+   * @param {number} windowId - The window to capture
+   */
+  static async capture(tabId, windowId) {
+    try {
+      // The user may have switched again in the meantime
+      const [activeTab] = await chrome.tabs.query({ active: true, windowId: windowId });
+      if (activeTab?.id !== tabId) return;
+      
+      const dataUrl = await chrome.tabs.captureVisibleTab(windowId, { format: "jpeg", quality: 70 });
+      const bitmap = await createImageBitmap(await (await fetch(dataUrl)).blob());
+      
+      // Keep a thumbnail only, full screenshots would use a lot of memory
+      const width = 320;
+      const canvas = new OffscreenCanvas(width, Math.round(width * bitmap.height / bitmap.width));
+      canvas.getContext("2d").drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+      const blob = await canvas.convertToBlob({ type: "image/jpeg", quality: 0.7 });
+      
+      Preview.forgetScreenshot(tabId);
+      Preview.screenshots.set(tabId, URL.createObjectURL(blob));
+      
+      // Drop the oldest thumbnails beyond the limit
+      for (const oldTabId of Preview.screenshots.keys()) {
+        if (Preview.screenshots.size <= Preview.maxScreenshots) break;
+        Preview.forgetScreenshot(oldTabId);
+      }
+    } catch (error) {
+      // Pages like chrome:// and the web store can't be captured
+    }
+  }
+  
+  /**
+   * Remove a cached screenshot
+   * @param {number} tabId - The tab ID
+   */
+  static forgetScreenshot(tabId) {
+    const screenshotUrl = Preview.screenshots.get(tabId);
+    if (screenshotUrl) {
+      URL.revokeObjectURL(screenshotUrl);
+      Preview.screenshots.delete(tabId);
+    }
+  }
+}
+
+// ============================================================================
+// KeyNav Class - Keyboard Navigation of the Tab List
+// ============================================================================
+
+/**
+ * Roving keyboard focus across tabs and group headers
+ */
+class KeyNav {
+  /**
+   * Initialize keyboard navigation listeners
+   */
+  static init() {
+    // The tab list is replaced on rebuild, so listen on the stable container
+    Main.addEventListener("keydown", KeyNav.onKeyDown);
+    Main.addEventListener("focusin", KeyNav.onFocusIn);
+    document.getElementById("search-input").addEventListener("keydown", KeyNav.onSearchKeyDown);
+    
+    /** ID of the last focused item ("tab-123" or "group-123") */
+    KeyNav.currentId = null;
+  }
+  
+  /**
+   * Get all items that can currently be reached with the arrow keys
+   * Tabs inside collapsed groups and items of collapsed windows are skipped
+   * @returns {HTMLElement[]} Navigable items in list order
+   */
+  static getItems() {
+    return Array.from(Tabs.getMainList().querySelectorAll(".tab-item, .group-header-outer"))
+      .filter((item) => !(item.classList.contains("tab-item") &&
+        (item.classList.contains("tree-hidden") || item.closest(".group-item.collapse"))))
+      .filter((item) => !item.closest(".window-section:not([open])"));
+  }
+  
+  /**
+   * Get the ID used to find an item again after a rebuild
+   * @param {HTMLElement} item - A tab element or group header
+   * @returns {string} The element ID of the tab or group
+   */
+  static getItemId(item) {
+    return item.classList.contains("group-header-outer") ? item.parentElement.id : item.id;
+  }
+  
+  /**
+   * Find an item by the ID returned from getItemId
+   * @param {string} itemId - The tab or group element ID
+   * @returns {HTMLElement|null} The tab element or group header
+   */
+  static findItem(itemId) {
+    const element = itemId ? document.getElementById(itemId) : null;
+    
+    if (element?.classList.contains("group-item")) {
+      return element.firstElementChild;
+    }
+    return element;
+  }
+  
+  /**
+   * Move the roving focus to an item
+   * @param {HTMLElement} item - The item to focus
+   */
+  static focus(item) {
+    if (!item) return;
+    
+    const previous = KeyNav.findItem(KeyNav.currentId);
+    if (previous && previous !== item) {
+      previous.tabIndex = -1;
+    }
+    
+    item.tabIndex = 0;
+    item.focus({ preventScroll: true });
+    item.scrollIntoViewIfNeeded(false);
+  }
+  
+  /**
+   * Focus the last focused item again, if it still exists
+   */
+  static restoreFocus() {
+    const item = KeyNav.findItem(KeyNav.currentId);
+    if (item) {
+      KeyNav.focus(item);
+    }
+  }
+  
+  /**
+   * Track the focused item so focus can be restored
+   * @param {FocusEvent} event - The focusin event
+   */
+  static onFocusIn(event) {
+    if (event.target.matches(".tab-item, .group-header-outer")) {
+      KeyNav.currentId = KeyNav.getItemId(event.target);
+    }
+  }
+  
+  /**
+   * Step from the search box into the tab list with Arrow-Down
+   * @param {KeyboardEvent} event - The keydown event
+   */
+  static onSearchKeyDown(event) {
+    if (event.key !== "ArrowDown" || Search.isActive()) return;
+    
+    event.preventDefault();
+    const items = KeyNav.getItems();
+    const activeTab = WindowSections.getList(WindowId)?.querySelector(".tab-active");
+    
+    KeyNav.focus(items.includes(activeTab) ? activeTab : items[0]);
+  }
+  
+  /**
+   * Open the tab or group context menu at a focused item
+   * @param {HTMLElement} item - The focused item
+   */
+  static openMenu(item) {
+    const rect = item.getBoundingClientRect();
+    const menuEvent = new MouseEvent("contextmenu", {
+      clientX: rect.left + 16,
+      clientY: rect.bottom,
+    });
+    menuEvent.fromKeyboard = true;
+    item.dispatchEvent(menuEvent);
+  }
+  
+  /**
+   * Handle keys on a focused tab or group header
+   * @param {KeyboardEvent} event - The keydown event
+   */
+  static onKeyDown(event) {
+    const item = event.target;
+    if (!item.matches(".tab-item, .group-header-outer")) return;
+    
+    const isTab = item.classList.contains("tab-item");
+    const items = KeyNav.getItems();
+    const index = items.indexOf(item);
+    let nextItem = null;
+    
+    switch (event.key) {
+      case "ArrowDown":
+        nextItem = items[index + 1];
+        break;
+      case "ArrowUp":
+        if (index === 0) {
+          event.preventDefault();
+          document.getElementById("search-input").focus();
+          return;
+        }
+        nextItem = items[index - 1];
+        break;
+      case "Home":
+        nextItem = items[0];
+        break;
+      case "End":
+        nextItem = items[items.length - 1];
+        break;
+      case "ArrowLeft":
+      case "ArrowRight": {
+        event.preventDefault();
+        if (isTab && Tree.enabled && KeyNav.onTreeKey(item, event.key === "ArrowLeft")) {
+          return;
+        }
+        
+        const groupElement = item.closest(".group-item");
+        if (!groupElement) return;
+        
+        const collapse = event.key === "ArrowLeft";
+        if (!isTab) {
+          chrome.tabGroups.update(parseInt(groupElement.id.substring(6)), { collapsed: collapse });
+        } else if (collapse) {
+          // Left on a tab inside a group steps out to its header
+          KeyNav.focus(groupElement.firstElementChild);
+        }
+        return;
+      }
+      case "Enter":
+        event.preventDefault();
+        if (isTab) {
+          Tabs.activate(parseInt(item.id.substring(4)));
+        } else {
+          item.firstElementChild.click();
+        }
+        return;
+      case " ":
+        event.preventDefault();
+        if (isTab) {
+          Tabs.toggleSelect(item);
+        }
+        return;
+      case "Delete":
+        event.preventDefault();
+        if (isTab) {
+          KeyNav.closeFocused(item, items);
+        }
+        return;
+      case "F10":
+        if (!event.shiftKey) return;
+        // falls through
+      case "ContextMenu":
+        event.preventDefault();
+        KeyNav.openMenu(item);
+        return;
+      default:
+        return;
+    }
+    
+    event.preventDefault();
+    if (!nextItem) return;
+    
+    KeyNav.focus(nextItem);
+    
+    // Shift+Arrow extends the selection like Shift-click
+    if (event.shiftKey && nextItem.classList.contains("tab-item")) {
+      Tabs.selectRange(nextItem);
+    }
+  }
+  
+  /**
+   * Handle Left/Right on a tab in tree mode
+   * Left collapses a subtree or steps to the parent, Right expands a subtree
+   * @param {HTMLElement} item - The focused tab element
+   * @param {boolean} collapse - True for Left, false for Right
+   * @returns {boolean} True if the key was used by the tree
+   */
+  static onTreeKey(item, collapse) {
+    const tabId = parseInt(item.id.substring(4));
+    const row = Tree.rows.get(tabId);
+    if (!row) return false;
+    
+    if (row.childIds.length > 0 && row.collapsed !== collapse) {
+      Tree.toggle(tabId, collapse);
+      return true;
+    }
+    
+    if (collapse && row.parentId !== null) {
+      KeyNav.focus(document.getElementById(`tab-${row.parentId}`));
+      return true;
+    }
+    
+    return !collapse;
+  }
+  
+  /**
+   * Close the focused tab (or the selection it belongs to) and keep focus in the list
+   * @param {HTMLElement} item - The focused tab element
+   * @param {HTMLElement[]} items - The navigable items, as returned by getItems
+   */
+  static closeFocused(item, items) {
+    const tabId = parseInt(item.id.substring(4));
+    let tabIds = [tabId];
+    
+    if (Tabs.selection.has(tabId)) {
+      tabIds = Tabs.getSelectedIds();
+      Tabs.clearSelection();
+    }
+    
+    // Prefer the next surviving item, then the previous one
+    const index = items.indexOf(item);
+    const survives = (other) => !tabIds.includes(parseInt(other.id.substring(4)));
+    const fallbackItem = items.slice(index + 1).find(survives) ||
+      items.slice(0, index).reverse().find(survives);
+    
+    KeyNav.focus(fallbackItem);
+    ContextMenu.showCloseConfirm(tabIds);
+  }
+}
+
+// ============================================================================
+// Views Class - Secondary Panels Opened from the Footer Menu
+// ============================================================================
+
+/**
+ * Shows secondary panels (sessions, clean up, ...) in the slot used by search results
+ */
+class Views {
+  /**
+   * Initialize the views menu
+   */
+  static init() {
+    Views.menu = document.getElementById("views-context-menu");
+    Views.menu.addEventListener("contextmenu", stopEvent);
+    Views.menu.addEventListener("keydown", ContextMenu.onMenuKeyDown);
+    
+    document.getElementById("views-icon").addEventListener("click", Views.showMenu);
+    document.getElementById("views-cleanup").addEventListener("click", Cleanup.show);
+    document.getElementById("views-closed").addEventListener("click", RecentlyClosed.show);
+    document.getElementById("views-sessions").addEventListener("click", WindowSessions.show);
+  }
+  
+  /**
+   * Show the views menu above the footer icon
+   * @param {MouseEvent} event - The click event
+   */
+  static showMenu(event) {
+    // Keep the click from reaching the outside-click handler registered below
+    event.stopPropagation();
+    
+    ContextMenu.hide();
+    Views.menu.classList.add("show");
+    ContextMenu.setMenuPosition(event, Views.menu);
+    ContextMenu.hideOnClickOutside("#views-context-menu");
+  }
+  
+  /**
+   * Replace the tab list with a view
+   * The view shares the search results slot, so Search.showTabs closes it
+   * @param {HTMLElement} view - The view container
+   */
+  static show(view) {
+    ContextMenu.hide();
+    Search.input.value = "";
+    Main.replaceChild(view, Main.lastElementChild);
+    Main.classList.add("search-on");
+  }
+  
+  /**
+   * Check whether a view is currently shown
+   * @param {HTMLElement} view - The view container
+   * @returns {boolean} True if the view is shown
+   */
+  static isShown(view) {
+    return Main.classList.contains("search-on") && Main.lastElementChild === view;
+  }
+  
+  /**
+   * Create a view header with back and refresh icons
+   * @param {string} title - The header text
+   * @param {Function} onRefresh - Click handler for the refresh icon
+   * @returns {HTMLElement} The header element
+   */
+  static createHeader(title, onRefresh) {
+    const header = document.createElement("div");
+    const backIcon = document.createElement("img");
+    const refreshIcon = document.createElement("img");
+    
+    header.className = "search-header";
+    
+    backIcon.src = "img/arrow_back.svg";
+    backIcon.addEventListener("click", Search.showTabs);
+    
+    refreshIcon.src = "img/refresh.svg";
+    refreshIcon.addEventListener("click", onRefresh);
+    
+    header.append(backIcon, document.createTextNode(title), refreshIcon);
+    return header;
+  }
+}
+
+// ============================================================================
+// Cleanup Class - Stale Tab Cleanup View
+// ============================================================================
+
+/**
+ * Lists tabs not accessed for a number of days so they can be closed,
+ * bookmarked or saved for later in bulk
+ */
+class Cleanup {
+  /**
+   * Initialize the cleanup view
+   */
+  static init() {
+    Cleanup.view = document.createElement("div");
+    Cleanup.view.className = "cleanup-view";
+    
+    chrome.tabs.onRemoved.addListener(Cleanup.onTabRemoved);
+  }
+  
+  /**
+   * Open the cleanup view
+   */
+  static show() {
+    Views.show(Cleanup.view);
+    Cleanup.render();
+  }
+  
+  /**
+   * Build the list of stale tabs, grouped by window and tab group
+   */
+  static async render() {
+    const cutoff = Date.now() - Settings.settings.cleanupDays * 24 * 60 * 60 * 1000;
+    const windows = await chrome.windows.getAll({ populate: true, windowTypes: ["normal"] });
+    const groups = await chrome.tabGroups.query({});
+    const groupsById = new Map(groups.map((group) => [group.id, group]));
+    
+    const sections = [];
+    for (const [index, window] of windows.entries()) {
+      const staleTabs = window.tabs
+        .filter((tab) => !tab.active && !tab.pinned && tab.lastAccessed < cutoff)
+        .sort((a, b) => a.lastAccessed - b.lastAccessed);
+      
+      if (staleTabs.length === 0) continue;
+      
+      const label = window.id === WindowId
+        ? chrome.i18n.getMessage("cleanupThisWindow")
+        : chrome.i18n.getMessage("cleanupWindow", [index + 1]);
+      sections.push({ label, tabs: staleTabs });
+    }
+    
+    // Windows with the oldest tabs first
+    sections.sort((a, b) => a.tabs[0].lastAccessed - b.tabs[0].lastAccessed);
+    
+    Cleanup.view.replaceChildren(
+      Views.createHeader(chrome.i18n.getMessage("cleanupTitle"), Cleanup.render),
+      Cleanup.createControls()
+    );
+    
+    for (const section of sections) {
+      Cleanup.view.appendChild(Cleanup.createWindowSection(section.label, section.tabs, groupsById));
+    }
+    
+    if (sections.length === 0) {
+      const noResults = document.createElement("div");
+      noResults.className = "search-no-results";
+      noResults.textContent = chrome.i18n.getMessage("cleanupNoTabs");
+      Cleanup.view.appendChild(noResults);
+    }
+    
+    Cleanup.view.appendChild(await Cleanup.createSavedSection());
+    Cleanup.updateActions();
+  }
+  
+  /**
+   * Create the age input, select-all checkbox and bulk action buttons
+   * @returns {HTMLElement} The controls element
+   */
+  static createControls() {
+    const controls = document.createElement("div");
+    controls.className = "cleanup-controls";
+    
+    const ageLabel = document.createElement("label");
+    const ageInput = document.createElement("input");
+    ageInput.type = "number";
+    ageInput.min = 1;
+    ageInput.value = Settings.settings.cleanupDays;
+    ageInput.addEventListener("change", Cleanup.onDaysChanged);
+    ageLabel.append(
+      chrome.i18n.getMessage("cleanupNotUsedFor") + " ",
+      ageInput,
+      " " + chrome.i18n.getMessage("cleanupDays")
+    );
+    
+    const actions = document.createElement("div");
+    actions.className = "cleanup-actions";
+    
+    const selectAll = document.createElement("input");
+    selectAll.type = "checkbox";
+    selectAll.className = "cleanup-select-all";
+    selectAll.title = chrome.i18n.getMessage("cleanupSelectAll");
+    selectAll.addEventListener("change", Cleanup.onToggleAll);
+    actions.appendChild(selectAll);
+    
+    for (const [messageName, handler] of [
+      ["cleanupClose", Cleanup.closeSelected],
+      ["cleanupBookmark", Cleanup.bookmarkSelected],
+      ["cleanupSaveForLater", Cleanup.saveSelected],
+    ]) {
+      const button = document.createElement("button");
+      button.textContent = chrome.i18n.getMessage(messageName);
+      button.addEventListener("click", handler);
+      actions.appendChild(button);
+    }
+    
+    controls.append(ageLabel, actions);
+    return controls;
+  }
+  
+  /**
+   * Create the section for one window, with a subsection per tab group
+   * @param {string} label - The window label
+   * @param {chrome.tabs.Tab[]} tabs - Stale tabs of the window, oldest first
+   * @param {Map<number, chrome.tabGroups.TabGroup>} groupsById - All tab groups
+   * @returns {HTMLElement} The section element
+   */
+  static createWindowSection(label, tabs, groupsById) {
+    const section = Cleanup.createSection(label);
+    section.classList.add("cleanup-window");
+    
+    // Buckets keep the oldest-first order since the tabs are sorted
+    const buckets = new Map();
+    for (const tab of tabs) {
+      if (!buckets.has(tab.groupId)) {
+        buckets.set(tab.groupId, []);
+      }
+      buckets.get(tab.groupId).push(tab);
+    }
+    
+    for (const [groupId, groupTabs] of buckets) {
+      let parent = section;
+      
+      if (groupId !== NoGroup) {
+        const group = groupsById.get(groupId);
+        parent = Cleanup.createSection(group?.title || chrome.i18n.getMessage("cleanupUnnamedGroup"));
+        parent.classList.add("cleanup-group");
+        if (group) {
+          parent.style.setProperty("--group-color", `var(--group-color-${group.color})`);
+        }
+        section.appendChild(parent);
+      }
+      
+      for (const tab of groupTabs) {
+        parent.appendChild(Cleanup.createItem(tab));
+      }
+    }
+    
+    return section;
+  }
+  
+  /**
+   * Create a section with a header checkbox that toggles all its items
+   * @param {string} label - The section label
+   * @returns {HTMLElement} The section element
+   */
+  static createSection(label) {
+    const section = document.createElement("div");
+    section.className = "cleanup-section";
+    
+    const header = document.createElement("label");
+    header.className = "cleanup-section-header";
+    
+    const checkbox = document.createElement("input");
+    checkbox.type = "checkbox";
+    checkbox.addEventListener("change", Cleanup.onToggleSection);
+    
+    header.append(checkbox, label);
+    section.appendChild(header);
+    return section;
+  }
+  
+  /**
+   * Create a row for a stale tab
+   * @param {chrome.tabs.Tab} tab - The tab
+   * @returns {HTMLElement} The row element
+   */
+  static createItem(tab) {
+    const item = document.createElement("label");
+    item.id = `cleanup-${tab.id}`;
+    item.className = "cleanup-item";
+    item.title = `${tab.title}\n${tab.url}`;
+    
+    const checkbox = document.createElement("input");
+    checkbox.type = "checkbox";
+    checkbox.addEventListener("change", Cleanup.updateActions);
+    
+    const title = document.createElement("div");
+    title.className = "cleanup-title";
+    title.textContent = tab.title;
+    
+    const age = document.createElement("span");
+    age.className = "cleanup-age";
+    age.textContent = Preview.formatTimeAgo(tab.lastAccessed);
+    
+    item.append(checkbox, Search.createFavicon(tab.url), title, age);
+    return item;
+  }
+  
+  /**
+   * Create the list of tabs saved for later
+   * @returns {Promise<HTMLElement>} The section element
+   */
+  static async createSavedSection() {
+    const { savedForLater = [] } = await chrome.storage.local.get("savedForLater");
+    const section = document.createElement("div");
+    section.className = "cleanup-saved";
+    
+    if (savedForLater.length === 0) return section;
+    
+    const header = document.createElement("div");
+    header.className = "cleanup-section-header";
+    header.textContent = chrome.i18n.getMessage("cleanupSavedForLater");
+    section.appendChild(header);
+    
+    for (const [index, entry] of savedForLater.entries()) {
+      const item = document.createElement("div");
+      item.className = "cleanup-saved-item";
+      item.dataset.index = index;
+      item.title = `${entry.title}\n${entry.url}`;
+      item.addEventListener("click", Cleanup.openSaved);
+      
+      const title = document.createElement("div");
+      title.className = "cleanup-title";
+      title.textContent = entry.title || entry.url;
+      
+      const closeBtn = document.createElement("img");
+      closeBtn.src = "img/close.svg";
+      closeBtn.className = "close-btn";
+      closeBtn.addEventListener("click", Cleanup.removeSaved);
+      
+      item.append(Search.createFavicon(entry.url), title, closeBtn);
+      section.appendChild(item);
+    }
+    
+    return section;
+  }
+  
+  /**
+   * Redraw the saved for later list
+   */
+  static async refreshSaved() {
+    Cleanup.view.querySelector(".cleanup-saved")?.replaceWith(await Cleanup.createSavedSection());
+  }
+  
+  /**
+   * Open a saved tab and remove it from the list
+   * @param {MouseEvent} event - The click event
+   */
+  static async openSaved(event) {
+    const index = parseInt(event.currentTarget.dataset.index);
+    const { savedForLater = [] } = await chrome.storage.local.get("savedForLater");
+    const [entry] = savedForLater.splice(index, 1);
+    
+    if (entry) {
+      chrome.tabs.create({ url: entry.url });
+      await chrome.storage.local.set({ savedForLater });
+    }
+    Cleanup.refreshSaved();
+  }
+  
+  /**
+   * Remove an entry from the saved for later list
+   * @param {MouseEvent} event - The click event
+   */
+  static async removeSaved(event) {
+    event.stopPropagation();
+    
+    const index = parseInt(event.currentTarget.parentElement.dataset.index);
+    const { savedForLater = [] } = await chrome.storage.local.get("savedForLater");
+    savedForLater.splice(index, 1);
+    await chrome.storage.local.set({ savedForLater });
+    Cleanup.refreshSaved();
+  }
+  
+  /**
+   * Save the age threshold and list tabs again
+   * @param {Event} event - The change event
+   */
+  static onDaysChanged(event) {
+    const days = Math.max(1, parseInt(event.target.value) || 7);
+    Settings.settings.cleanupDays = days;
+    chrome.storage.sync.set({ cleanupDays: days });
+    Cleanup.render();
+  }
+  
+  /**
+   * Check or uncheck all tabs
+   * @param {Event} event - The change event
+   */
+  static onToggleAll(event) {
+    for (const checkbox of Cleanup.view.querySelectorAll(".cleanup-section input")) {
+      checkbox.checked = event.target.checked;
+    }
+    Cleanup.updateActions();
+  }
+  
+  /**
+   * Check or uncheck all tabs of a window or group
+   * @param {Event} event - The change event
+   */
+  static onToggleSection(event) {
+    const section = event.target.closest(".cleanup-section");
+    for (const checkbox of section.querySelectorAll("input")) {
+      checkbox.checked = event.target.checked;
+    }
+    Cleanup.updateActions();
+  }
+  
+  /**
+   * Enable the bulk actions only when tabs are checked
+   */
+  static updateActions() {
+    const hasChecked = Cleanup.getCheckedIds().length > 0;
+    for (const button of Cleanup.view.querySelectorAll(".cleanup-actions button")) {
+      button.disabled = !hasChecked;
+    }
+  }
+  
+  /**
+   * Get the IDs of the checked tabs
+   * @returns {number[]} Checked tab IDs, in list order
+   */
+  static getCheckedIds() {
+    return Array.from(Cleanup.view.querySelectorAll(".cleanup-item input:checked"))
+      .map((checkbox) => parseInt(checkbox.parentElement.id.substring(8)));
+  }
+  
+  /**
+   * Close the checked tabs after confirmation
+   */
+  static closeSelected() {
+    const tabIds = Cleanup.getCheckedIds();
+    if (tabIds.length > 0) {
+      CloseConfirm.show(tabIds);
+    }
+  }
+  
+  /**
+   * Bookmark the checked tabs into a new folder, then close them after confirmation
+   */
+  static async bookmarkSelected() {
+    const tabIds = Cleanup.getCheckedIds();
+    if (tabIds.length === 0) return;
+    
+    // Bookmarks access is optional and asked for on first use
+    const granted = await chrome.permissions.request({ permissions: ["bookmarks"] });
+    if (!granted) return;
+    
+    CloseConfirm.show(tabIds, Cleanup.bookmarkTabs, "cleanupBookmarkConfirm");
+  }
+  
+  /**
+   * Save the checked tabs for later, then close them after confirmation
+   */
+  static saveSelected() {
+    const tabIds = Cleanup.getCheckedIds();
+    if (tabIds.length > 0) {
+      CloseConfirm.show(tabIds, Cleanup.saveTabs, "cleanupSaveConfirm");
+    }
+  }
+  
+  /**
+   * Add tabs to a new bookmark folder named after today's date
+   * @param {number[]} tabIds - Tab IDs
+   * @returns {Promise<number[]>} The tab IDs, without the tabs that couldn't be bookmarked
+   */
+  static async bookmarkTabs(tabIds) {
+    const tabs = await Tabs.getTabs(tabIds);
+    const folder = await chrome.bookmarks.create({
+      title: chrome.i18n.getMessage("cleanupBookmarkFolder", [new Date().toLocaleDateString()]),
+    });
+    
+    const failedIds = new Set();
+    for (const tab of tabs) {
+      try {
+        await chrome.bookmarks.create({ parentId: folder.id, title: tab.title, url: tab.url });
+      } catch (error) {
+        console.error(error);
+        failedIds.add(tab.id);
+      }
+    }
+    return tabIds.filter((tabId) => !failedIds.has(tabId));
+  }
+  
+  /**
+   * Add tabs to the saved for later list
+   * @param {number[]} tabIds - Tab IDs
+   * @returns {Promise<number[]>} The tab IDs, all saved
+   */
+  static async saveTabs(tabIds) {
+    const tabs = await Tabs.getTabs(tabIds);
+    const { savedForLater = [] } = await chrome.storage.local.get("savedForLater");
+    
+    for (const tab of tabs) {
+      savedForLater.push({ title: tab.title, url: tab.url, savedAt: Date.now() });
+    }
+    await chrome.storage.local.set({ savedForLater });
+    Cleanup.refreshSaved();
+    return tabIds;
+  }
+  
+  /**
+   * Drop closed tabs from the list, along with sections left empty
+   * @param {number} tabId - The removed tab ID
+   */
+  static onTabRemoved(tabId) {
+    const item = document.getElementById(`cleanup-${tabId}`);
+    if (!item) return;
+    
+    let section = item.parentElement;
+    item.remove();
+    
+    while (section?.classList.contains("cleanup-section") && !section.querySelector(".cleanup-item")) {
+      const parent = section.parentElement;
+      section.remove();
+      section = parent;
+    }
+    Cleanup.updateActions();
+  }
+}
+
+// ============================================================================
+// RecentlyClosed Class - Recently Closed Tabs, Groups and Windows View
+// ============================================================================
+
+/**
+ * Lists recently closed tabs and windows from chrome.sessions for restoring
+ */
+class RecentlyClosed {
+  /**
+   * Initialize the recently closed view
+   */
+  static init() {
+    RecentlyClosed.view = document.createElement("div");
+    RecentlyClosed.view.className = "closed-view";
+    
+    chrome.sessions.onChanged.addListener(RecentlyClosed.onChanged);
+  }
+  
+  /**
+   * Open the recently closed view
+   */
+  static show() {
+    Views.show(RecentlyClosed.view);
+    RecentlyClosed.render();
+  }
+  
+  /**
+   * Refresh the list when sessions change while it is shown
+   */
+  static onChanged() {
+    if (Views.isShown(RecentlyClosed.view)) {
+      RecentlyClosed.render();
+    }
+  }
+  
+  /**
+   * Build the list, most recently closed first
+   * Tabs of the same group closed one after another are listed together
+   */
+  static async render() {
+    const sessions = await chrome.sessions.getRecentlyClosed();
+    const { closedGroups = {} } = await chrome.storage.session.get("closedGroups");
+    
+    const items = [];
+    let lastBucket = null;
+    for (const session of sessions) {
+      const tab = session.tab;
+      
+      if (tab && tab.groupId !== undefined && tab.groupId !== NoGroup) {
+        if (lastBucket?.groupId !== tab.groupId) {
+          lastBucket = { groupId: tab.groupId, sessions: [] };
+          items.push(lastBucket);
+        }
+        lastBucket.sessions.push(session);
+        continue;
+      }
+      
+      lastBucket = null;
+      items.push(session);
+    }
+    
+    RecentlyClosed.view.replaceChildren(
+      Views.createHeader(chrome.i18n.getMessage("closedTitle"), RecentlyClosed.render)
+    );
+    
+    for (const item of items) {
+      if (item.groupId !== undefined) {
+        RecentlyClosed.view.appendChild(RecentlyClosed.createGroup(item, closedGroups[item.groupId]));
+      } else if (item.window) {
+        RecentlyClosed.view.appendChild(RecentlyClosed.createWindow(item));
+      } else {
+        RecentlyClosed.view.appendChild(RecentlyClosed.createTab(item));
+      }
+    }
+    
+    if (items.length === 0) {
+      const noResults = document.createElement("div");
+      noResults.className = "search-no-results";
+      noResults.textContent = chrome.i18n.getMessage("closedNothing");
+      RecentlyClosed.view.appendChild(noResults);
+    }
+  }
+  
+  /**
+   * Create a row that restores a session when clicked
+   * @param {string} sessionId - The session to restore
+   * @param {HTMLElement} icon - The row icon
+   * @param {string} label - The row text
+   * @param {number} lastModified - When it was closed, in seconds
+   * @returns {HTMLElement} The row element
+   */
+  static createRow(sessionId, icon, label, lastModified) {
+    const row = document.createElement("div");
+    row.className = "closed-item";
+    row.dataset.sessionId = sessionId;
+    row.title = chrome.i18n.getMessage("closedRestore");
+    row.addEventListener("click", RecentlyClosed.onRowClick);
+    
+    const title = document.createElement("div");
+    title.className = "cleanup-title";
+    title.textContent = label;
+    
+    const age = document.createElement("span");
+    age.className = "cleanup-age";
+    age.textContent = Preview.formatTimeAgo(lastModified * 1000);
+    
+    row.append(icon, title, age);
+    return row;
+  }
+  
+  /**
+   * Create the row of a closed tab
+   * @param {chrome.sessions.Session} session - The session holding the tab
+   * @returns {HTMLElement} The row element
+   */
+  static createTab(session) {
+    const tab = session.tab;
+    const row = RecentlyClosed.createRow(
+      tab.sessionId,
+      Search.createFavicon(tab.url),
+      tab.title || tab.url,
+      session.lastModified
+    );
+    row.title = `${tab.title}\n${tab.url}`;
+    return row;
+  }
+  
+  /**
+   * Create the row of a closed window
+   * @param {chrome.sessions.Session} session - The session holding the window
+   * @returns {HTMLElement} The row element
+   */
+  static createWindow(session) {
+    const tabs = session.window.tabs;
+    const row = RecentlyClosed.createRow(
+      session.window.sessionId,
+      Search.createFavicon(tabs[0]?.url),
+      chrome.i18n.getMessage("closedWindow", [tabs.length]),
+      session.lastModified
+    );
+    row.title = tabs.map((tab) => tab.title).join("\n");
+    return row;
+  }
+  
+  /**
+   * Create a closed group with its tabs and a restore-all button
+   * @param {object} bucket - The group ID and the sessions of its tabs
+   * @param {object} [groupInfo] - Title and color recorded when the group closed
+   * @returns {HTMLElement} The group element
+   */
+  static createGroup(bucket, groupInfo) {
+    const container = document.createElement("div");
+    container.className = "closed-group";
+    container.dataset.groupId = bucket.groupId;
+    if (groupInfo) {
+      container.style.setProperty("--group-color", `var(--group-color-${groupInfo.color})`);
+    }
+    
+    const header = document.createElement("div");
+    header.className = "cleanup-section-header";
+    header.textContent = groupInfo?.title || chrome.i18n.getMessage("cleanupUnnamedGroup");
+    
+    const restoreButton = document.createElement("button");
+    restoreButton.textContent = chrome.i18n.getMessage("closedRestoreGroup", [bucket.sessions.length]);
+    restoreButton.addEventListener("click", RecentlyClosed.onRestoreGroupClick);
+    header.appendChild(restoreButton);
+    
+    container.appendChild(header);
+    for (const session of bucket.sessions) {
+      container.appendChild(RecentlyClosed.createTab(session));
+    }
+    return container;
+  }
+  
+  /**
+   * Restore the tab or window of a clicked row
+   * @param {MouseEvent} event - The click event
+   */
+  static onRowClick(event) {
+    const sessionId = event.currentTarget.dataset.sessionId;
+    chrome.sessions.restore(sessionId)
+      .then((session) => Tabs.skipDuplicateCheck((session.tab ? [session.tab] : session.window.tabs).map((tab) => tab.id)))
+      .catch((error) => console.error(error));
+  }
+  
+  /**
+   * Restore all tabs of a closed group into a new group with its old title and color
+   * @param {MouseEvent} event - The click event
+   */
+  static async onRestoreGroupClick(event) {
+    const container = event.currentTarget.closest(".closed-group");
+    const { closedGroups = {} } = await chrome.storage.session.get("closedGroups");
+    const groupInfo = closedGroups[container.dataset.groupId];
+    
+    // Restore oldest first so the tabs come back in their original order
+    const rows = Array.from(container.querySelectorAll(".closed-item")).reverse();
+    
+    try {
+      const tabIds = [];
+      for (const row of rows) {
+        const session = await chrome.sessions.restore(row.dataset.sessionId);
+        if (session?.tab) {
+          tabIds.push(session.tab.id);
+          Tabs.skipDuplicateCheck([session.tab.id]);
+        }
+      }
+      
+      if (tabIds.length === 0) return;
+      
+      const groupId = await chrome.tabs.group({ tabIds: tabIds });
+      if (groupInfo) {
+        await chrome.tabGroups.update(groupId, { title: groupInfo.title, color: groupInfo.color });
+      }
+    } catch (error) {
+      console.error(error);
+    }
+  }
+}
+
+// ============================================================================
+// WindowSessions Class - Named Window Sessions View
+// ============================================================================
+
+/**
+ * Saves windows as named sessions and restores them later
+ * Sessions live in chrome.storage.local under "windowSessions"
+ */
+class WindowSessions {
+  /**
+   * Initialize the sessions view
+   */
+  static init() {
+    WindowSessions.view = document.createElement("div");
+    WindowSessions.view.className = "sessions-view";
+  }
+  
+  /**
+   * Open the sessions view
+   */
+  static show() {
+    Views.show(WindowSessions.view);
+    WindowSessions.render();
+  }
+  
+  /**
+   * Get the saved sessions
+   * @returns {Promise<object[]>} Sessions, most recently saved first
+   */
+  static async getAll() {
+    const { windowSessions = [] } = await chrome.storage.local.get("windowSessions");
+    return windowSessions;
+  }
+  
+  /**
+   * Build the save form and the list of saved sessions
+   */
+  static async render() {
+    const sessions = await WindowSessions.getAll();
+    
+    WindowSessions.view.replaceChildren(
+      Views.createHeader(chrome.i18n.getMessage("sessionsTitle"), WindowSessions.render),
+      WindowSessions.createSaveForm()
+    );
+    
+    for (const [index, session] of sessions.entries()) {
+      WindowSessions.view.appendChild(WindowSessions.createItem(session, index));
+    }
+    
+    if (sessions.length === 0) {
+      const noResults = document.createElement("div");
+      noResults.className = "search-no-results";
+      noResults.textContent = chrome.i18n.getMessage("sessionsNothing");
+      WindowSessions.view.appendChild(noResults);
+    }
+  }
+  
+  /**
+   * Create the form that saves the current window
+   * @returns {HTMLElement} The form element
+   */
+  static createSaveForm() {
+    const form = document.createElement("form");
+    form.className = "sessions-save";
+    
+    const nameInput = document.createElement("input");
+    nameInput.type = "text";
+    nameInput.required = true;
+    nameInput.spellcheck = false;
+    nameInput.placeholder = chrome.i18n.getMessage("sessionsNamePlaceholder");
+    
+    const saveButton = document.createElement("button");
+    saveButton.textContent = chrome.i18n.getMessage("sessionsSave");
+    
+    form.append(nameInput, saveButton);
+    form.addEventListener("submit", WindowSessions.onSaveSubmit);
+    return form;
+  }
+  
+  /**
+   * Create the row of a saved session
+   * @param {object} session - The session
+   * @param {number} index - Position of the session in storage
+   * @returns {HTMLElement} The row element
+   */
+  static createItem(session, index) {
+    const item = document.createElement("div");
+    item.className = "sessions-item";
+    item.dataset.index = index;
+    item.title = session.tabs.map((tab) => tab.title).join("\n");
+    
+    const name = document.createElement("div");
+    name.className = "cleanup-title";
+    name.textContent = session.name;
+    
+    const details = document.createElement("div");
+    details.className = "cleanup-age";
+    details.textContent = chrome.i18n.getMessage("sessionsDetails", [
+      session.tabs.length,
+      Preview.formatTimeAgo(session.savedAt),
+    ]);
+    
+    const openButton = document.createElement("button");
+    openButton.textContent = chrome.i18n.getMessage("sessionsOpen");
+    openButton.title = chrome.i18n.getMessage("sessionsOpenHint");
+    openButton.addEventListener("click", WindowSessions.onOpenClick);
+    
+    const replaceButton = document.createElement("button");
+    replaceButton.textContent = chrome.i18n.getMessage("sessionsReplace");
+    replaceButton.title = chrome.i18n.getMessage("sessionsReplaceHint");
+    replaceButton.addEventListener("click", WindowSessions.onReplaceClick);
+    
+    const deleteButton = document.createElement("img");
+    deleteButton.src = "img/close.svg";
+    deleteButton.className = "close-btn";
+    deleteButton.title = chrome.i18n.getMessage("sessionsDelete");
+    deleteButton.addEventListener("click", WindowSessions.onDeleteClick);
+    
+    const text = document.createElement("div");
+    text.className = "sessions-text";
+    text.append(name, details);
+    
+    item.append(text, openButton, replaceButton, deleteButton);
+    return item;
+  }
+  
+  /**
+   * Capture a window's tabs and groups, in order
+   * @param {number} windowId - The window to capture
+   * @returns {Promise<object>} Tabs with an index into the groups, and the groups
+   */
+  static async capture(windowId) {
+    return WindowSessions.describeTabs(await chrome.tabs.query({ windowId: windowId }));
+  }
+  
+  /**
+   * Describe tabs with their pinned state and groups, in order
+   * @param {chrome.tabs.Tab[]} tabs - The tabs
+   * @returns {Promise<object>} Tabs with an index into the groups, and the groups
+   */
+  static async describeTabs(tabs) {
+    const groups = [];
+    const groupIndexes = new Map();
+    
+    for (const tab of tabs) {
+      if (tab.groupId !== NoGroup && !groupIndexes.has(tab.groupId)) {
+        const group = await chrome.tabGroups.get(tab.groupId);
+        groupIndexes.set(tab.groupId, groups.length);
+        groups.push({ title: group.title, color: group.color, collapsed: group.collapsed });
+      }
+    }
+    
+    return {
+      tabs: tabs.map((tab) => ({
+        url: tab.url || tab.pendingUrl,
+        title: tab.title,
+        pinned: tab.pinned,
+        group: groupIndexes.has(tab.groupId) ? groupIndexes.get(tab.groupId) : null,
+      })),
+      groups: groups,
+    };
+  }
+  
+  /**
+   * Save the current window under the entered name
+   * A session with the same name is replaced
+   * @param {SubmitEvent} event - The submit event
+   */
+  static async onSaveSubmit(event) {
+    event.preventDefault();
+    
+    const name = event.target.querySelector("input").value.trim();
+    if (!name) return;
+    
+    const session = { name: name, savedAt: Date.now(), ...(await WindowSessions.capture(WindowId)) };
+    const sessions = (await WindowSessions.getAll()).filter((saved) => saved.name !== name);
+    sessions.unshift(session);
+    
+    await chrome.storage.local.set({ windowSessions: sessions });
+    WindowSessions.render();
+  }
+  
+  /**
+   * Get the session of a clicked row
+   * @param {MouseEvent} event - The click event
+   * @returns {Promise<object|undefined>} The session
+   */
+  static async getClickedSession(event) {
+    const index = parseInt(event.currentTarget.closest(".sessions-item").dataset.index);
+    return (await WindowSessions.getAll())[index];
+  }
+  
+  /**
+   * Restore a session in a new window
+   * The window is closed again if none of the tabs could be opened
+   * @param {MouseEvent} event - The click event
+   */
+  static async onOpenClick(event) {
+    const session = await WindowSessions.getClickedSession(event);
+    if (!session) return;
+    
+    try {
+      const newWindow = await chrome.windows.create({ focused: true });
+      const failedUrls = await WindowSessions.restore(session, newWindow.id, newWindow.tabs.map((tab) => tab.id));
+      
+      if (failedUrls.length === session.tabs.length) {
+        await chrome.windows.remove(newWindow.id);
+      }
+      if (failedUrls.length > 0) {
+        Transfer.showSkipped(failedUrls);
+      }
+    } catch (error) {
+      console.error(error);
+    }
+  }
+  
+  /**
+   * Restore a session in place of the current window's tabs, after confirmation
+   * The old tabs are closed so Undo can reopen them, and only once some of the new tabs are open
+   * @param {MouseEvent} event - The click event
+   */
+  static async onReplaceClick(event) {
+    const session = await WindowSessions.getClickedSession(event);
+    if (!session) return;
+    
+    const oldTabs = await chrome.tabs.query({ windowId: WindowId });
+    CloseConfirm.show(oldTabs.map((tab) => tab.id), async function (tabIds) {
+      const failedUrls = await WindowSessions.restore(session, WindowId, []);
+      
+      Search.showTabs();
+      if (failedUrls.length > 0) {
+        Transfer.showSkipped(failedUrls);
+      }
+      return failedUrls.length === session.tabs.length ? [] : tabIds;
+    }, "sessionsReplaceConfirm");
+  }
+  
+  /**
+   * Open the tabs of a session in a window and rebuild its groups,
+   * then close the tabs it replaces
+   * Tabs that can't be opened (file:// pages, blocked schemes) are skipped, and
+   * the old tabs are only closed once some of the new tabs exist
+   * @param {object} session - The session
+   * @param {number} windowId - The target window
+   * @param {number[]} tabIdsToClose - Tabs to close once the session is open
+   * @returns {Promise<string[]>} URLs of the tabs that couldn't be opened
+   */
+  static async restore(session, windowId, tabIdsToClose) {
+    // New tab IDs by session tab index, null where the tab failed to open
+    const tabIds = [];
+    const failedUrls = [];
+    for (const tab of session.tabs) {
+      try {
+        const newTab = await chrome.tabs.create({
+          windowId: windowId,
+          url: tab.url,
+          pinned: tab.pinned,
+          active: false,
+        });
+        tabIds.push(newTab.id);
+        Tabs.skipDuplicateCheck([newTab.id]);
+      } catch (error) {
+        console.error(error);
+        tabIds.push(null);
+        failedUrls.push(tab.url);
+      }
+    }
+    
+    // Recreate groups the same way DnD.moveGroup does
+    for (const [groupIndex, groupInfo] of session.groups.entries()) {
+      const groupTabIds = tabIds.filter((tabId, index) => tabId !== null && session.tabs[index].group === groupIndex);
+      if (groupTabIds.length === 0) continue;
+      
+      try {
+        const groupId = await chrome.tabs.group({ tabIds: groupTabIds, createProperties: { windowId: windowId } });
+        await chrome.tabGroups.update(groupId, {
+          collapsed: groupInfo.collapsed,
+          color: groupInfo.color,
+          title: groupInfo.title,
+        });
+      } catch (error) {
+        console.error(error);
+      }
+    }
+    
+    // Nothing could be opened, so keep the tabs it would replace
+    const openedIds = tabIds.filter((tabId) => tabId !== null);
+    if (openedIds.length === 0) return failedUrls;
+    
+    await chrome.tabs.update(openedIds[0], { active: true }).catch((error) => console.error(error));
+    if (tabIdsToClose.length > 0) {
+      await chrome.tabs.remove(tabIdsToClose).catch((error) => console.error(error));
+    }
+    return failedUrls;
+  }
+  
+  /**
+   * Delete a saved session
+   * @param {MouseEvent} event - The click event
+   */
+  static async onDeleteClick(event) {
+    const index = parseInt(event.currentTarget.closest(".sessions-item").dataset.index);
+    const sessions = await WindowSessions.getAll();
+    sessions.splice(index, 1);
+    
+    await chrome.storage.local.set({ windowSessions: sessions });
+    WindowSessions.render();
+  }
+}
+
+// ============================================================================
+// Stash Class - Stashed Groups Saved to Storage
+// ============================================================================
+
+/**
+ * Stashes groups to storage and lists them below the tab list for restoring
+ * Stashed groups live in chrome.storage.local under "stashedGroups"
+ */
+class Stash {
+  /**
+   * Initialize the stashed groups section
+   */
+  static async init() {
+    Stash.section = document.getElementById("stash-section");
+    Stash.list = Stash.section.querySelector(".stash-list");
+    
+    chrome.storage.local.onChanged.addListener(Stash.onStorageChanged);
+    Stash.render(await Stash.getAll());
+  }
+  
+  /**
+   * Get the stashed groups
+   * @returns {Promise<object[]>} Stashed groups, most recent first
+   */
+  static async getAll() {
+    const { stashedGroups = [] } = await chrome.storage.local.get("stashedGroups");
+    return stashedGroups;
+  }
+  
+  /**
+   * Redraw the section when the stash changes, here or in another window
+   * @param {object} changes - Changed keys with their old and new values
+   */
+  static onStorageChanged(changes) {
+    if (changes.stashedGroups) {
+      Stash.render(changes.stashedGroups.newValue || []);
+    }
+  }
+  
+  /**
+   * Build the stashed groups section, hidden when nothing is stashed
+   * @param {object[]} stashedGroups - Stashed groups
+   */
+  static render(stashedGroups) {
+    Stash.section.hidden = stashedGroups.length === 0;
+    
+    // Keep groups the user expanded open across redraws
+    const openIds = new Set(
+      Array.from(Stash.list.querySelectorAll(".stash-group[open]"), (element) => element.dataset.stashId)
+    );
+    Stash.list.replaceChildren(...stashedGroups.map((stashed) => Stash.createGroup(stashed, openIds)));
+  }
+  
+  /**
+   * Create the element of a stashed group
+   * @param {object} stashed - The stashed group
+   * @param {Set<string>} openIds - IDs of the groups shown expanded
+   * @returns {HTMLElement} The group element
+   */
+  static createGroup(stashed, openIds) {
+    const groupElement = document.createElement("details");
+    groupElement.className = "stash-group";
+    groupElement.dataset.stashId = stashed.id;
+    groupElement.open = openIds.has(stashed.id);
+    groupElement.style.setProperty("--group-color", `var(--group-color-${stashed.color})`);
+    
+    const summary = document.createElement("summary");
+    
+    const label = document.createElement("span");
+    label.className = "stash-label";
+    label.textContent = stashed.title || chrome.i18n.getMessage("cleanupUnnamedGroup");
+    
+    const count = document.createElement("span");
+    count.className = "stash-count";
+    count.textContent = stashed.tabs.length;
+    
+    const restoreButton = document.createElement("img");
+    restoreButton.src = "img/refresh.svg";
+    restoreButton.className = "stash-btn";
+    restoreButton.title = chrome.i18n.getMessage("stashRestore");
+    restoreButton.addEventListener("click", Stash.onRestoreClick);
+    
+    const deleteButton = document.createElement("img");
+    deleteButton.src = "img/close.svg";
+    deleteButton.className = "stash-btn";
+    deleteButton.title = chrome.i18n.getMessage("stashDelete");
+    deleteButton.addEventListener("click", Stash.onDeleteClick);
+    
+    summary.append(label, count, restoreButton, deleteButton);
+    groupElement.appendChild(summary);
+    
+    for (const [index, tab] of stashed.tabs.entries()) {
+      const tabElement = document.createElement("div");
+      tabElement.className = "stash-tab";
+      tabElement.dataset.index = index;
+      tabElement.title = `${tab.title}\n${tab.url}`;
+      tabElement.addEventListener("click", Stash.onTabClick);
+      
+      const title = document.createElement("div");
+      title.className = "cleanup-title";
+      title.textContent = tab.title || tab.url;
+      
+      tabElement.append(Search.createFavicon(tab.url), title);
+      groupElement.appendChild(tabElement);
+    }
+    
+    return groupElement;
+  }
+  
+  /**
+   * Save a group's tabs, title and color, then close the tabs
+   * @param {number} groupId - The group to stash
+   */
+  static async stashGroup(groupId) {
+    const group = await chrome.tabGroups.get(groupId);
+    const tabs = await chrome.tabs.query({ groupId: groupId });
+    if (tabs.length === 0) return;
+    
+    const stashedGroups = await Stash.getAll();
+    stashedGroups.unshift({
+      id: crypto.randomUUID(),
+      title: group.title,
+      color: group.color,
+      stashedAt: Date.now(),
+      tabs: tabs.map((tab) => ({ url: tab.url || tab.pendingUrl, title: tab.title })),
+    });
+    await chrome.storage.local.set({ stashedGroups });
+    
+    // Closing every tab would close the window along with this panel
+    const windowTabs = await chrome.tabs.query({ windowId: group.windowId });
+    if (windowTabs.length === tabs.length) {
+      await chrome.tabs.create({ windowId: group.windowId });
+    }
+    chrome.tabs.remove(tabs.map((tab) => tab.id));
+  }
+  
+  /**
+   * Remove a stashed group, or a single tab of it, from storage
+   * @param {string} stashId - The stashed group ID
+   * @param {number} [tabIndex] - Remove only this tab; the group goes once it is empty
+   * @returns {Promise<object|undefined>} The stashed group as it was before removal
+   */
+  static async remove(stashId, tabIndex) {
+    const stashedGroups = await Stash.getAll();
+    const index = stashedGroups.findIndex((stashed) => stashed.id === stashId);
+    if (index === -1) return;
+    
+    const stashed = stashedGroups[index];
+    if (tabIndex === undefined || stashed.tabs.length === 1) {
+      stashedGroups.splice(index, 1);
+    } else {
+      stashedGroups[index] = { ...stashed, tabs: stashed.tabs.filter((tab, i) => i !== tabIndex) };
+    }
+    
+    await chrome.storage.local.set({ stashedGroups });
+    return stashed;
+  }
+  
+  /**
+   * Keep only some tabs of a stashed group
+   * @param {string} stashId - The stashed group ID
+   * @param {number[]} tabIndexes - Indexes of the tabs to keep
+   */
+  static async keepTabs(stashId, tabIndexes) {
+    const stashedGroups = await Stash.getAll();
+    const index = stashedGroups.findIndex((stashed) => stashed.id === stashId);
+    if (index === -1) return;
+    
+    const stashed = stashedGroups[index];
+    stashedGroups[index] = { ...stashed, tabs: stashed.tabs.filter((tab, i) => tabIndexes.includes(i)) };
+    await chrome.storage.local.set({ stashedGroups });
+  }
+  
+  /**
+   * Get a stashed group by ID
+   * @param {string} stashId - The stashed group ID
+   * @returns {Promise<object|undefined>} The stashed group
+   */
+  static async get(stashId) {
+    return (await Stash.getAll()).find((stashed) => stashed.id === stashId);
+  }
+  
+  /**
+   * Restore a stashed group into the current window
+   * The stash is only removed once its tabs are open; tabs that fail to open stay stashed
+   * @param {MouseEvent} event - The click event
+   */
+  static async onRestoreClick(event) {
+    // Keep the click from toggling the group open
+    event.preventDefault();
+    
+    const stashId = event.currentTarget.closest(".stash-group").dataset.stashId;
+    const stashed = await Stash.get(stashId);
+    if (!stashed) return;
+    
+    const failedIndexes = [];
+    const tabIds = [];
+    try {
+      for (const [index, tab] of stashed.tabs.entries()) {
+        try {
+          const newTab = await chrome.tabs.create({ windowId: WindowId, url: tab.url, active: false });
+          tabIds.push(newTab.id);
+          Tabs.skipDuplicateCheck([newTab.id]);
+        } catch (error) {
+          console.error(error);
+          failedIndexes.push(index);
+        }
+      }
+      
+      if (tabIds.length > 0) {
+        const groupId = await chrome.tabs.group({ tabIds: tabIds, createProperties: { windowId: WindowId } });
+        await chrome.tabGroups.update(groupId, { color: stashed.color, title: stashed.title });
+        await chrome.tabs.update(tabIds[0], { active: true });
+      }
+    } catch (error) {
+      console.error(error);
+    }
+    
+    // Nothing was opened, keep the stash as it is
+    if (tabIds.length === 0) return;
+    
+    if (failedIndexes.length === 0) {
+      await Stash.remove(stashId);
+    } else {
+      await Stash.keepTabs(stashId, failedIndexes);
+    }
+  }
+  
+  /**
+   * Delete a stashed group
+   * @param {MouseEvent} event - The click event
+   */
+  static onDeleteClick(event) {
+    event.preventDefault();
+    Stash.remove(event.currentTarget.closest(".stash-group").dataset.stashId);
+  }
+  
+  /**
+   * Restore a single tab of a stashed group into the current window
+   * The tab stays stashed if it can't be opened
+   * @param {MouseEvent} event - The click event
+   */
+  static async onTabClick(event) {
+    const tabIndex = parseInt(event.currentTarget.dataset.index);
+    const stashId = event.currentTarget.closest(".stash-group").dataset.stashId;
+    const tab = (await Stash.get(stashId))?.tabs[tabIndex];
+    if (!tab) return;
+    
+    try {
+      const newTab = await chrome.tabs.create({ windowId: WindowId, url: tab.url });
+      Tabs.skipDuplicateCheck([newTab.id]);
+    } catch (error) {
+      console.error(error);
+      return;
+    }
+    await Stash.remove(stashId, tabIndex);
+  }
+}
+
+// ============================================================================
+// Transfer Class - Export and Import of Tabs
+// ============================================================================
+
+/**
+ * Exports tabs as Markdown, JSON or bookmarks HTML, and imports them back
+ * Tab sets are described like window sessions: tabs with an index into groups
+ */
+class Transfer {
+  /**
+   * Initialize the export/import dialog
+   */
+  static init() {
+    Transfer.dialog = document.getElementById("transfer-dialog");
+    Transfer.head = Transfer.dialog.querySelector(".close-confirm-header");
+    Transfer.format = document.getElementById("transfer-format");
+    Transfer.text = document.getElementById("transfer-text");
+    Transfer.file = document.getElementById("transfer-file");
+    Transfer.colors = ["grey", "blue", "red", "yellow", "green", "pink", "purple", "cyan", "orange"];
+    Transfer.schemes = ["http:", "https:", "chrome:", "chrome-extension:", "about:"];
+    
+    Transfer.format.addEventListener("change", Transfer.updateOutput);
+    Transfer.file.addEventListener("change", Transfer.onFileChosen);
+    document.getElementById("transfer-copy").addEventListener("click", Transfer.copy);
+    document.getElementById("transfer-download").addEventListener("click", Transfer.download);
+    document.getElementById("transfer-open-file").addEventListener("click", () => Transfer.file.click());
+    document.getElementById("transfer-import").addEventListener("click", Transfer.import);
+    document.getElementById("transfer-close").addEventListener("click", () => Transfer.dialog.close());
+    
+    document.getElementById("views-export").addEventListener("click", Transfer.exportWindow);
+    document.getElementById("views-import").addEventListener("click", Transfer.showImport);
+  }
+  
+  /**
+   * Export the tabs of the current window
+   */
+  static async exportWindow() {
+    ContextMenu.hide();
+    Transfer.showExport(await chrome.tabs.query({ windowId: WindowId }));
+  }
+  
+  /**
+   * Export the tabs of a group
+   * @param {number} groupId - The group to export
+   */
+  static async exportGroup(groupId) {
+    Transfer.showExport(await chrome.tabs.query({ groupId: groupId }));
+  }
+  
+  /**
+   * Show the dialog in export mode
+   * @param {chrome.tabs.Tab[]} tabs - The tabs to export, in order
+   */
+  static async showExport(tabs) {
+    Transfer.model = await WindowSessions.describeTabs(tabs);
+    Transfer.dialog.classList.remove("transfer-import");
+    Transfer.head.textContent = chrome.i18n.getMessage("transferExportTitle", [tabs.length]);
+    Transfer.text.readOnly = true;
+    Transfer.updateOutput();
+    Transfer.dialog.showModal();
+  }
+  
+  /**
+   * Show the dialog in import mode
+   */
+  static showImport() {
+    ContextMenu.hide();
+    Transfer.dialog.classList.add("transfer-import");
+    Transfer.head.textContent = chrome.i18n.getMessage("transferImportTitle");
+    Transfer.text.readOnly = false;
+    Transfer.text.value = "";
+    Transfer.text.placeholder = chrome.i18n.getMessage("transferImportPlaceholder");
+    Transfer.dialog.showModal();
+  }
+  
+  /**
+   * Render the export in the chosen format
+   */
+  static updateOutput() {
+    Transfer.text.value = Transfer.serialize(Transfer.model, Transfer.format.value);
+  }
+  
+  /**
+   * Copy the export to the clipboard
+   */
+  static async copy() {
+    await navigator.clipboard.writeText(Transfer.text.value);
+    Transfer.dialog.close();
+  }
+  
+  /**
+   * Save the export as a file
+   */
+  static download() {
+    const types = {
+      markdown: ["text/markdown", "md"],
+      json: ["application/json", "json"],
+      html: ["text/html", "html"],
+    };
+    const [mimeType, extension] = types[Transfer.format.value];
+    const blob = new Blob([Transfer.text.value], { type: mimeType });
+    const link = document.createElement("a");
+    
+    link.href = URL.createObjectURL(blob);
+    link.download = `tabs-${new Date().toISOString().substring(0, 10)}.${extension}`;
+    link.click();
+    URL.revokeObjectURL(link.href);
+  }
+  
+  /**
+   * Load a chosen file into the import text
+   */
+  static async onFileChosen() {
+    const [file] = Transfer.file.files;
+    if (file) {
+      Transfer.text.value = await file.text();
+    }
+    Transfer.file.value = "";
+  }
+  
+  /**
+   * Open the imported tabs in the current window and recreate their groups
+   */
+  static async import() {
+    const model = Transfer.parse(Transfer.text.value);
+    if (model.tabs.length === 0) {
+      const messageName = model.skipped.length > 0 ? "transferNothingOpenable" : "transferNothingFound";
+      Transfer.text.setCustomValidity(chrome.i18n.getMessage(messageName));
+      Transfer.text.reportValidity();
+      Transfer.text.setCustomValidity("");
+      return;
+    }
+    
+    Transfer.dialog.close();
+    let failedUrls = [];
+    try {
+      failedUrls = await WindowSessions.restore(model, WindowId, []);
+    } catch (error) {
+      console.error(error);
+    }
+    
+    const skippedUrls = [...model.skipped, ...failedUrls];
+    if (skippedUrls.length > 0) {
+      Transfer.showSkipped(skippedUrls);
+    }
+  }
+  
+  /**
+   * Reopen the import dialog listing the links that weren't opened
+   * @param {string[]} urls - The skipped URLs
+   */
+  static showSkipped(urls) {
+    Transfer.showImport();
+    Transfer.head.textContent = chrome.i18n.getMessage("transferSkipped", [urls.length]);
+    Transfer.text.value = urls.join("\n") + "\n";
+  }
+  
+  /**
+   * Convert a tab set to text
+   * @param {object} model - Tabs and groups
+   * @param {string} format - "markdown", "json" or "html"
+   * @returns {string} The exported text
+   */
+  static serialize(model, format) {
+    switch (format) {
+      case "json":
+        return JSON.stringify({ tabs: model.tabs, groups: model.groups }, null, 2);
+      case "html":
+        return Transfer.toHtml(model);
+      default:
+        return Transfer.toMarkdown(model);
+    }
+  }
+  
+  /**
+   * Read a tab set from text, detecting its format
+   * @param {string} text - Markdown, JSON or bookmarks HTML
+   * @returns {object} Tabs and groups, plus the skipped URLs that can't be opened
+   */
+  static parse(text) {
+    const trimmed = text.trim();
+    let model;
+    
+    if (trimmed.startsWith("{")) {
+      model = Transfer.fromJson(trimmed);
+    } else if (/<dl[\s>]|<!DOCTYPE NETSCAPE/i.test(trimmed)) {
+      model = Transfer.fromHtml(trimmed);
+    } else {
+      model = Transfer.fromMarkdown(trimmed);
+    }
+    
+    return Transfer.sanitize(model);
+  }
+  
+  /**
+   * Drop invalid tabs and normalize groups, so imported data is safe to open
+   * @param {object} model - Tabs and groups as parsed
+   * @returns {object} The cleaned tabs and groups, and the skipped URLs
+   */
+  static sanitize(model) {
+    const groups = (Array.isArray(model.groups) ? model.groups : []).map((group) => ({
+      title: String(group?.title ?? ""),
+      color: Transfer.colors.includes(group?.color) ? group.color : "grey",
+      collapsed: !!group?.collapsed,
+    }));
+    
+    const tabs = [];
+    const skipped = [];
+    for (const tab of Array.isArray(model.tabs) ? model.tabs : []) {
+      let url;
+      try {
+        url = new URL(tab.url);
+      } catch {
+        // Not a valid URL
+      }
+      
+      // Tabs can only be created for these schemes; file: needs a permission the extension lacks
+      if (!url || !Transfer.schemes.includes(url.protocol)) {
+        skipped.push(String(tab?.url ?? ""));
+        continue;
+      }
+      
+      const pinned = !!tab.pinned;
+      const group = Number.isInteger(tab.group) && groups[tab.group] && !pinned ? tab.group : null;
+      tabs.push({ url: url.href, title: String(tab.title ?? ""), pinned: pinned, group: group });
+    }
+    
+    return { tabs, groups, skipped };
+  }
+  
+  /**
+   * Export as Markdown link lists, with a heading per group
+   * The group color is kept in an HTML comment so it survives a round trip
+   * @param {object} model - Tabs and groups
+   * @returns {string} The Markdown text
+   */
+  static toMarkdown(model) {
+    const lines = [];
+    let lastGroup = null;
+    
+    for (const tab of model.tabs) {
+      if (tab.group !== lastGroup) {
+        if (tab.group !== null) {
+          const group = model.groups[tab.group];
+          if (lines.length > 0) lines.push("");
+          lines.push(`## ${group.title} <!-- color: ${group.color} -->`, "");
+        } else {
+          // A rule ends the group for tabs that follow it
+          lines.push("", "---", "");
+        }
+        lastGroup = tab.group;
+      }
+      
+      lines.push(`- [${Transfer.escapeLinkText(tab.title || tab.url)}](${Transfer.escapeLinkUrl(tab.url)})`);
+    }
+    
+    return lines.join("\n") + "\n";
+  }
+  
+  /**
+   * Escape text for use inside the brackets of a Markdown link
+   * @param {string} text - The link text
+   * @returns {string} The escaped text
+   */
+  static escapeLinkText(text) {
+    return text.replace(/[[\]\\]/g, "\\$&");
+  }
+  
+  /**
+   * Percent-encode the characters that would end a Markdown link target early
+   * @param {string} url - The URL
+   * @returns {string} The encoded URL
+   */
+  static escapeLinkUrl(url) {
+    return url.replace(/[()\s]/g, (char) => `%${char.charCodeAt(0).toString(16).padStart(2, "0")}`);
+  }
+  
+  /**
+   * Read Markdown link lists; headings start a group, rules end it
+   * @param {string} text - The Markdown text
+   * @returns {object} Tabs and groups
+   */
+  static fromMarkdown(text) {
+    const model = { tabs: [], groups: [] };
+    let group = null;
+    
+    for (const line of text.split(/\r?\n/)) {
+      const heading = line.match(/^#{1,6}\s+(.*?)\s*(?:<!--\s*color:\s*(\w+)\s*-->)?\s*$/);
+      if (heading) {
+        group = model.groups.push({ title: heading[1], color: heading[2] }) - 1;
+        continue;
+      }
+      
+      if (/^\s*(-{3,}|\*{3,}|_{3,})\s*$/.test(line)) {
+        group = null;
+        continue;
+      }
+      
+      const link = line.match(/\[((?:\\.|[^\]\\])*)\]\((\S+?)\)/);
+      const bareUrl = line.match(/https?:\/\/\S+/);
+      if (link) {
+        model.tabs.push({ url: link[2], title: link[1].replace(/\\(.)/g, "$1"), group: group });
+      } else if (bareUrl) {
+        model.tabs.push({ url: bareUrl[0], title: "", group: group });
+      }
+    }
+    
+    return model;
+  }
+  
+  /**
+   * Read the JSON export
+   * @param {string} text - The JSON text
+   * @returns {object} Tabs and groups
+   */
+  static fromJson(text) {
+    try {
+      return JSON.parse(text);
+    } catch {
+      return { tabs: [], groups: [] };
+    }
+  }
+  
+  /**
+   * Export as a Netscape bookmarks file, with a folder per group
+   * Group colors and pins are kept in attributes browsers ignore
+   * @param {object} model - Tabs and groups
+   * @returns {string} The HTML text
+   */
+  static toHtml(model) {
+    const escape = (text) => text.replace(/[&<>"]/g, (char) => `&#${char.charCodeAt(0)};`);
+    const lines = [
+      "<!DOCTYPE NETSCAPE-Bookmark-file-1>",
+      '<META HTTP-EQUIV="Content-Type" CONTENT="text/html; charset=UTF-8">',
+      "<TITLE>Bookmarks</TITLE>",
+      "<H1>Bookmarks</H1>",
+      "<DL><p>",
+    ];
+    let lastGroup = null;
+    
+    for (const tab of model.tabs) {
+      if (tab.group !== lastGroup) {
+        if (lastGroup !== null) {
+          lines.push("    </DL><p>");
+        }
+        if (tab.group !== null) {
+          const group = model.groups[tab.group];
+          lines.push(`    <DT><H3 data-color="${group.color}">${escape(group.title)}</H3>`, "    <DL><p>");
+        }
+        lastGroup = tab.group;
+      }
+      
+      const indent = tab.group === null ? "    " : "        ";
+      const pinned = tab.pinned ? ' data-pinned="true"' : "";
+      lines.push(`${indent}<DT><A HREF="${escape(tab.url)}"${pinned}>${escape(tab.title || tab.url)}</A>`);
+    }
+    
+    if (lastGroup !== null) {
+      lines.push("    </DL><p>");
+    }
+    lines.push("</DL><p>");
+    return lines.join("\n") + "\n";
+  }
+  
+  /**
+   * Read a Netscape bookmarks file; each link joins its innermost folder's group
+   * @param {string} text - The HTML text
+   * @returns {object} Tabs and groups
+   */
+  static fromHtml(text) {
+    const doc = new DOMParser().parseFromString(text, "text/html");
+    const model = { tabs: [], groups: [] };
+    const groupIndexes = new Map();
+    
+    for (const link of doc.querySelectorAll("a[href]")) {
+      const folder = link.closest("dl")?.parentElement?.closest("dt")?.querySelector(":scope > h3");
+      let group = null;
+      
+      if (folder) {
+        if (!groupIndexes.has(folder)) {
+          groupIndexes.set(folder, model.groups.length);
+          model.groups.push({ title: folder.textContent.trim(), color: folder.dataset.color });
+        }
+        group = groupIndexes.get(folder);
+      }
+      
+      model.tabs.push({
+        url: link.getAttribute("href"),
+        title: link.textContent.trim(),
+        pinned: link.dataset.pinned === "true",
+        group: group,
+      });
+    }
+    
+    return model;
+  }
+}
+
+// ============================================================================
+// CopyTabs Class - Copy Tabs to the Clipboard
+// ============================================================================
+
+/**
+ * Copies tab links and titles to the clipboard, one line per tab
+ * Templates use {title}, {url} and {domain} placeholders
+ */
+class CopyTabs {
+  /**
+   * Initialize the template presets and menu labels
+   */
+  static init() {
+    CopyTabs.presets = {
+      markdown: "[{title}]({url})",
+      url: "{url}",
+      html: '<a href="{url}">{title}</a>',
+    };
+    
+    // The template item is named after the chosen preset
+    const preset = CopyTabs.getPreset(Settings.settings.copyTemplate);
+    const messageName = preset === "custom" ? "menuCopyTemplate" : `menuCopyAs_${preset}`;
+    for (const itemId of ["tab-copy-template", "search-copy-template"]) {
+      document.getElementById(itemId).textContent = chrome.i18n.getMessage(messageName);
+    }
+  }
+  
+  /**
+   * Find the preset a template belongs to
+   * @param {string} template - The template
+   * @returns {string} The preset name, or "custom"
+   */
+  static getPreset(template) {
+    return Object.keys(CopyTabs.presets).find((name) => CopyTabs.presets[name] === template) || "custom";
+  }
+  
+  /**
+   * Format tabs with a template, one line per tab
+   * Values are HTML-escaped when the template is HTML, and escaped like the
+   * Markdown export when it contains a Markdown link
+   * @param {chrome.tabs.Tab[]} tabs - The tabs
+   * @param {string} template - The template
+   * @returns {string} The formatted text
+   */
+  static format(tabs, template) {
+    const isHtml = template.trim().startsWith("<");
+    const isMarkdown = /\[[^\]]*\]\(/.test(template);
+    const escape = function (text, name) {
+      if (isHtml) {
+        return text.replace(/[&<>"]/g, (char) => `&#${char.charCodeAt(0)};`);
+      }
+      if (isMarkdown) {
+        return name === "url" ? Transfer.escapeLinkUrl(text) : Transfer.escapeLinkText(text);
+      }
+      return text;
+    };
+    
+    return tabs.map(function (tab) {
+      let domain = "";
+      try {
+        domain = new URL(tab.url).hostname;
+      } catch {
+        // Keep the domain empty for unusual URLs
+      }
+      
+      const values = { title: tab.title || tab.url, url: tab.url, domain: domain };
+      return template.replace(/\{(title|url|domain)\}/g, (match, name) => escape(values[name], name));
+    }).join("\n");
+  }
+  
+  /**
+   * Copy tabs to the clipboard
+   * @param {number[]} tabIds - The tabs, in order
+   * @param {string} template - The template
+   */
+  static async copy(tabIds, template) {
+    const tabs = await Tabs.getTabs(tabIds);
+    if (tabs.length > 0) {
+      await navigator.clipboard.writeText(CopyTabs.format(tabs, template));
+    }
+  }
+  
+  /**
+   * Copy tabs with the template chosen in settings
+   * @param {number[]} tabIds - The tabs, in order
+   */
+  static copyWithTemplate(tabIds) {
+    return CopyTabs.copy(tabIds, Settings.settings.copyTemplate);
+  }
+}
+
+// ============================================================================
+// Search Class - Tab Search Functionality
+// ============================================================================
+
+/**
+ * Provides fuzzy search across all tabs
+ */
+class Search {
+  /**
+   * Initialize the search functionality
+   */
+  static init() {
+    const searchInput = document.getElementById("search-input");
+    searchInput.placeholder = chrome.i18n.getMessage("searchPlaceholder");
+    searchInput.addEventListener("input", Search.onInputChanged);
+    searchInput.addEventListener("scroll", Search.onInputScroll);
+    searchInput.addEventListener("focus", Search.getIndex);
+    searchInput.addEventListener("keydown", Search.onInputKeyDown);
     
-    const groupElement = document.getElementById(`group-${group.id}`);
-    if (!groupElement) return;
+    Search.input = searchInput;
+    Search.highlight = document.getElementById("search-highlight");
+    Search.TimeoutId = 0;
+    Search.selectionAnchor = null;
+    Search.lastQuery = "";
+    Search.filterIds = null;
     
-    // Move tabs out of group element before removing it
-    groupElement.before(...groupElement.querySelectorAll(".tab-item"));
-    groupElement.remove();
+    // Help popover listing the query operators
+    const help = document.getElementById("search-help");
+    document.getElementById("search-help-icon").addEventListener("click", () => help.togglePopover());
+    
+    // Ctrl/Cmd+C copies the selected results, unless text is selected in the search box
+    document.addEventListener("keydown", Search.onCopyKeyDown);
+    
+    // Set up listeners to track when search index needs updating
+    chrome.tabs.onUpdated.addListener(Search.onTabUpdated);
+    chrome.tabs.onRemoved.addListener(Search.onTabRemoved);
+    chrome.tabs.onCreated.addListener(Search.onTabChanged);
+    chrome.tabs.onReplaced.addListener(Search.onTabChanged);
+    chrome.tabs.onAttached.addListener(Search.onTabChanged);
+    
+    // Bookmarks are indexed too once their section is enabled
+    if (Settings.settings.searchBookmarks && chrome.bookmarks) {
+      for (const bookmarkEvent of ["onCreated", "onRemoved", "onChanged", "onMoved", "onImportEnded"]) {
+        chrome.bookmarks[bookmarkEvent].addListener(Search.onBookmarksChanged);
+      }
+    }
   }
   /**
-   * Create a group DOM element
-   * @param {chrome.tabGroups.TabGroup} group - The group data
-   * @returns {HTMLElement} The group container element
+   * Handle tab update events - mark index as needing update
+   * and keep the loading state of search results current
+   * @param {number} tabId - The updated tab ID
+   * @param {object} changeInfo - Information about what changed
+   * @param {chrome.tabs.Tab} tab - The updated tab
    */
-  static createGroup(group) {
-    const groupContainer = document.createElement("div");
-    groupContainer.id = `group-${group.id}`;
-    groupContainer.className = `group-item group-color-${group.color}`;
+  static onTabUpdated(tabId, changeInfo, tab) {
+    // Operators filter on pinned, audible, muted, discarded and group state too
+    if (changeInfo.title || changeInfo.url || changeInfo.pinned !== undefined ||
+        changeInfo.audible !== undefined || changeInfo.mutedInfo || changeInfo.discarded !== undefined ||
+        changeInfo.groupId !== undefined) {
+      Search.needUpdate = true;
+    }
     
-    // Create group header
-    const groupHeader = document.createElement("div");
-    groupHeader.className = "group-header";
+    if (changeInfo.status !== undefined) {
+      const searchResultElement = document.getElementById(`search-${tabId}`);
+      if (searchResultElement) {
+        Tabs.setLoadState(searchResultElement, tab, Search.onReloadClick);
+      }
+    }
+  }
+  
+  /**
+   * Handle tab removal - mark index as needing update and remove from search results
+   * @param {number} tabId - The removed tab ID
+   */
+  static onTabRemoved(tabId) {
+    Search.needUpdate = true;
     
-    const groupLabel = document.createElement("div");
-    Groups.updateTitle(groupLabel, group.title);
-    groupLabel.className = "group-label";
+    const searchResultElement = document.getElementById(`search-${tabId}`);
+    if (!searchResultElement) return;
     
-    // Create close button (replaces the old expand icon)
-    const closeButton = document.createElement("img");
-    closeButton.src = "img/close.svg";
-    closeButton.className = "group-close-icon";
-    closeButton.addEventListener("click", Groups.onCloseClick);
-    closeButton.addEventListener("dblclick", stopEvent);
+    // Keep a highlight for the keyboard, on the next result if there is one
+    if (searchResultElement.classList.contains("search-current")) {
+      const results = Search.getResultItems();
+      const index = results.indexOf(searchResultElement);
+      Search.setCurrent(results[index + 1] ?? results[index - 1]);
+    }
+    searchResultElement.remove();
     
-    groupHeader.append(groupLabel, closeButton);
+    // If no more results, show normal tab list
+    if (document.querySelectorAll(".search-item").length === 0) {
+      Search.showTabs();
+    }
+  }
+  
+  /**
+   * Handle tab creation or replacement - mark index as needing update
+   */
+  static onTabChanged() {
+    Search.needUpdate = true;
+  }
+  
+  /**
+   * Handle bookmark changes - drop the bookmarks index so it's rebuilt on the next search
+   */
+  static onBookmarksChanged() {
+    Search.bookmarksIndex = null;
+  }
+  
+  /**
+   * Dynamically load the Fuse.js library
+   * @returns {Promise} Promise that resolves when Fuse.js is loaded
+   */
+  static loadFuse() {
+    if (!Search.loadFusePromise) {
+      Search.loadFusePromise = import("/js/fuse.esm.min.js").then(
+        (module) => (window.Fuse = module.default)
+      );
+    }
+    return Search.loadFusePromise;
+  }
+  
+  /**
+   * Build the search index from all tabs
+   */
+  static async buildIndex() {
+    await Search.loadFuse();
     
-    if (group.collapsed) {
-      groupContainer.classList.add("collapse");
+    const allTabs = await chrome.tabs.query({ windowType: "normal" });
+    
+    Search.tabs = allTabs;
+    if (Search.tabsIndex) {
+      Search.tabsIndex.setCollection(allTabs);
+    } else {
+      Search.tabsIndex = Search.createIndex(allTabs);
     }
     
-    // Click on header (but not on close button) toggles collapse
-    groupHeader.addEventListener("click", Groups.onHeaderClick);
+    Search.needUpdate = false;
+  }
+  
+  /**
+   * Create a fuzzy index over the title and URL of tabs, bookmarks or history items
+   * Fuse.js must be loaded
+   * @param {object[]} items - Items with a title and URL
+   * @returns {Fuse} The Fuse.js index
+   */
+  static createIndex(items) {
+    return new Fuse(items, {
+      threshold: 0.25,
+      ignoreLocation: true,
+      includeMatches: true,
+      keys: [
+        { name: "title", weight: 0.7 },
+        { name: "url", weight: 0.3 },
+      ],
+    });
+  }
+  
+  /**
+   * Get the search index, building it if necessary
+   * @returns {Promise<Fuse>} The Fuse.js search index
+   */
+  static async getIndex() {
+    if (!Search.tabsIndex || Search.needUpdate) {
+      if (Search.buildIndexPromise) {
+        await Search.buildIndexPromise;
+      } else {
+        Search.buildIndexPromise = Search.buildIndex();
+        await Search.buildIndexPromise;
+        Search.buildIndexPromise = null;
+      }
+    }
+    return Search.tabsIndex;
+  }
+  /**
+   * Perform search and display results
+   */
+  static async search() {
+    const query = Search.input.value.trim();
+    Search.lastQuery = query;
     
-    // Create outer wrapper for header (for drag-drop)
-    const headerOuter = document.createElement("div");
-    headerOuter.className = "group-header-outer";
-    headerOuter.appendChild(groupHeader);
-    headerOuter.addEventListener("contextmenu", ContextMenu.showGroupMenu);
-    DnD.initGroupDrag(headerOuter);
+    if (query && Search.filterMode) {
+      Search.showFilter(await Search.query(query));
+    } else if (query) {
+      const [results, sections] = await Promise.all([Search.query(query), Search.querySections(query)]);
+      Search.showResults(results, sections);
+    } else {
+      Search.showTabs();
+    }
+  }
+  
+  /**
+   * Find the tabs matching a query
+   * Words are fuzzy matched against title and URL, while operators, quoted
+   * phrases and negated words filter the tabs
+   * @param {string} query - The search query
+   * @returns {Promise<Array>} Fuse.js style results, with empty matches for tabs found by filters only
+   */
+  static async query(query) {
+    const searchIndex = await Search.getIndex();
+    return Search.match(searchIndex, Search.tabs, Search.tokenize(query));
+  }
+  
+  /**
+   * Match indexed items against a tokenized query
+   * Bookmarks and history items have no tab state, so they never match
+   * is:, group: or window: operators (and always match their negation)
+   * @param {Fuse} searchIndex - Fuse.js index of the items
+   * @param {object[]} items - The indexed items
+   * @param {object[]} tokens - Tokens from tokenize()
+   * @returns {Promise<Array>} Fuse.js style results
+   */
+  static async match(searchIndex, items, tokens) {
+    const text = Search.getText(tokens);
+    const filters = tokens.filter((token) => token.type !== "text" || token.negate);
+    
+    let results = text
+      ? searchIndex.search(text)
+      : items.map((item) => ({ item: item, matches: [] }));
+    
+    if (filters.length > 0) {
+      const groups = await chrome.tabGroups.query({});
+      const groupTitles = new Map(groups.map((group) => [group.id, group.title || ""]));
+      results = results.filter((result) =>
+        filters.every((token) => Search.isMatch(result.item, token, groupTitles) !== token.negate)
+      );
+    }
     
-    // Create body container for tabs
-    const groupBody = document.createElement("div");
-    groupBody.className = "group-body";
+    return results;
+  }
+  
+  /**
+   * Get the fuzzy matched words of a query
+   * @param {object[]} tokens - Tokens from tokenize()
+   * @returns {string} The words that aren't operators, phrases or negated
+   */
+  static getText(tokens) {
+    return tokens
+      .filter((token) => token.type === "text" && !token.negate)
+      .map((token) => token.value)
+      .join(" ");
+  }
+  
+  /**
+   * Search the bookmarks and history sections enabled in the settings
+   * Pages already open as tabs are left out
+   * @param {string} query - The search query
+   * @returns {Promise<object[]>} Non-empty sections, each with an i18n message name for its header and results
+   */
+  static async querySections(query) {
+    const sections = [];
+    if (!Settings.settings.searchBookmarks && !Settings.settings.searchHistory) return sections;
+    
+    const tokens = Search.tokenize(query);
+    await Search.getIndex();
+    const openUrls = new Set(Search.tabs.map((tab) => tab.url));
+    
+    const sources = [
+      { enabled: Settings.settings.searchBookmarks, messageName: "searchBookmarks", find: Search.findBookmarks },
+      { enabled: Settings.settings.searchHistory, messageName: "searchHistory", find: Search.findHistory },
+    ];
+    for (const source of sources) {
+      if (!source.enabled) continue;
+      
+      try {
+        const results = (await source.find(tokens))
+          .filter((result) => !openUrls.has(result.item.url))
+          .slice(0, 20);
+        if (results.length > 0) {
+          sections.push({ messageName: source.messageName, results: results });
+        }
+      } catch (error) {
+        // The permission may have been removed since it was granted
+        console.error(error);
+      }
+    }
     
-    groupContainer.append(headerOuter, groupBody);
-    return groupContainer;
+    return sections;
   }
+  
   /**
-   * Check if a tab element is inside a group
-   * @param {HTMLElement} tabElement - The tab element to check
-   * @returns {boolean} True if tab is in a group
+   * Find bookmarks matching a query
+   * @param {object[]} tokens - Tokens from tokenize()
+   * @returns {Promise<Array>} Fuse.js style results
    */
-  static isInGroup(tabElement) {
-    return tabElement.parentElement.classList.contains("group-body");
+  static async findBookmarks(tokens) {
+    if (!Search.bookmarksIndex) {
+      const bookmarks = [];
+      const collect = function (node) {
+        if (node.url) {
+          bookmarks.push({ id: node.id, title: node.title, url: node.url });
+        }
+        node.children?.forEach(collect);
+      };
+      (await chrome.bookmarks.getTree()).forEach(collect);
+      
+      Search.bookmarks = bookmarks;
+      Search.bookmarksIndex = Search.createIndex(bookmarks);
+    }
+    
+    return Search.match(Search.bookmarksIndex, Search.bookmarks, tokens);
+  }
+  
+  /**
+   * Find history items matching a query
+   * The history service finds pages containing the words, phrases and sites,
+   * which are then matched like tabs
+   * @param {object[]} tokens - Tokens from tokenize()
+   * @returns {Promise<Array>} Fuse.js style results
+   */
+  static async findHistory(tokens) {
+    const historyText = tokens
+      .filter((token) => !token.negate && (token.type !== "operator" || token.key === "site"))
+      .map((token) => token.value)
+      .join(" ");
+    const historyItems = await chrome.history.search({ text: historyText, startTime: 0, maxResults: 200 });
+    
+    return Search.match(Search.createIndex(historyItems), historyItems, tokens);
+  }
+  
+  /**
+   * Split a query into operators (key:value), quoted phrases and words
+   * Each can be negated with a leading "-"
+   * @param {string} query - The search query
+   * @returns {object[]} Tokens with type ("operator", "phrase" or "text"), key, value,
+   *   negate, whether the operator is valid, and start/end positions in the query
+   */
+  static tokenize(query) {
+    const tokens = [];
+    const tokenPattern = /(-?)(?:([a-z]+):)?(?:"([^"]*)"?|(\S+))/gi;
+    
+    for (const match of query.matchAll(tokenPattern)) {
+      const [text, minus, key, phrase, word] = match;
+      const token = {
+        type: "text",
+        key: key?.toLowerCase(),
+        value: phrase ?? word,
+        negate: minus === "-",
+        valid: true,
+        start: match.index,
+        end: match.index + text.length,
+      };
+      
+      if (["site", "group", "is", "window"].includes(token.key)) {
+        token.type = "operator";
+        token.valid = Search.isValidOperator(token.key, token.value.toLowerCase());
+      } else if (key) {
+        // Not an operator, like the scheme of a URL
+        token.value = text.substring(minus.length);
+      } else if (phrase !== undefined) {
+        token.type = "phrase";
+      }
+      
+      // A lone "-" or "-" before an empty phrase has nothing to negate
+      if (token.value === "") {
+        if (token.type !== "operator") continue;
+        token.valid = false;
+      }
+      
+      tokens.push(token);
+    }
+    
+    return tokens;
+  }
+  
+  /**
+   * Check whether an operator has a value it understands
+   * @param {string} key - The operator name
+   * @param {string} value - The lowercase operator value
+   * @returns {boolean} True if the operator can match tabs
+   */
+  static isValidOperator(key, value) {
+    if (key === "is") {
+      return ["pinned", "audible", "muted", "discarded"].includes(value);
+    }
+    if (key === "window") {
+      return value === "current";
+    }
+    return value !== "";
+  }
+  
+  /**
+   * Check whether a tab matches an operator, phrase or negated word, ignoring negation
+   * @param {chrome.tabs.Tab} tab - The tab
+   * @param {object} token - The token from tokenize()
+   * @param {Map<number, string>} groupTitles - Group titles by group ID
+   * @returns {boolean} True if the tab matches
+   */
+  static isMatch(tab, token, groupTitles) {
+    if (!token.valid) return false;
+    
+    const value = token.value.toLowerCase();
+    if (token.type !== "operator") {
+      return `${tab.title}\n${tab.url}`.toLowerCase().includes(value);
+    }
+    
+    switch (token.key) {
+      case "site": {
+        let hostname;
+        try {
+          hostname = new URL(tab.url).hostname.toLowerCase();
+        } catch (error) {
+          return false;
+        }
+        return hostname === value || hostname.endsWith(`.${value}`);
+      }
+      case "group":
+        return tab.groupId !== NoGroup && (groupTitles.get(tab.groupId) ?? "").toLowerCase().includes(value);
+      case "is":
+        return value === "muted" ? Boolean(tab.mutedInfo?.muted) : Boolean(tab[value]);
+      case "window":
+        return tab.windowId === WindowId;
+    }
+    return false;
+  }
+  
+  /**
+   * Handle keys in the search box
+   * Up/Down move the highlight through the results, Enter switches to the
+   * highlighted tab (or opens a bookmark or history page), Ctrl/Cmd+Enter
+   * closes the highlighted tab and Escape goes back to the tab list
+   * @param {KeyboardEvent} event - The keydown event
+   */
+  static async onInputKeyDown(event) {
+    const isSearchOn = Search.isActive();
+    
+    if (event.key === "Escape" && isSearchOn) {
+      event.preventDefault();
+      Search.showTabs();
+    } else if ((event.key === "ArrowDown" || event.key === "ArrowUp") && isSearchOn) {
+      event.preventDefault();
+      const results = Search.getResultItems();
+      const index = results.indexOf(Search.getCurrent()) + (event.key === "ArrowDown" ? 1 : -1);
+      Search.setCurrent(results[Math.min(Math.max(index, 0), results.length - 1)]);
+    } else if (event.key === "Enter") {
+      event.preventDefault();
+      const closeTab = event.ctrlKey || event.metaKey;
+      
+      // Typed faster than the debounce: search first so Enter acts on what was typed
+      if (!isSearchOn || Search.input.value.trim() !== Search.lastQuery) {
+        clearTimeout(Search.TimeoutId);
+        await Search.search();
+      }
+      
+      // An empty query goes back to the tab list
+      const current = Search.getCurrent();
+      if (!current || !Search.isActive()) return;
+      
+      if (!closeTab) {
+        Search.clearSelection();
+        Search.openResult(current);
+      } else if (!current.classList.contains("search-page")) {
+        Undo.closeTabs([Search.getTabId(current)]);
+      }
+    }
+  }
+  
+  /**
+   * Get the result elements shown, tabs first, then bookmarks and history
+   * When filtering the tab list, these are the matching tabs
+   * @returns {HTMLElement[]} The search result elements
+   */
+  static getResultItems() {
+    if (Search.filterIds) {
+      return Array.from(Tabs.getMainList().querySelectorAll(".tab-item.search-match"));
+    }
+    return Array.from(Main.lastElementChild.querySelectorAll(".search-item"));
   }
   
   /**
-   * Check if a tab element is positioned after a group
-   * @param {HTMLElement} tabElement - The tab element to check
-   * @returns {boolean} True if previous sibling is a group
+   * Get the result highlighted for the keyboard
+   * @returns {HTMLElement|null} The highlighted result
    */
-  static isAfterGroup(tabElement) {
-    return tabElement.previousElementSibling?.classList.contains("group-item");
+  static getCurrent() {
+    return Main.querySelector(".search-current");
   }
   
   /**
-   * Update the title text of a group label
-   * @param {HTMLElement} labelElement - The label element to update
-   * @param {string} title - The new title text
+   * Get the tab ID of a search result or of a matching tab in the filtered tab list
+   * @param {HTMLElement} resultElement - The result or tab element
+   * @returns {number} The tab ID
    */
-  static updateTitle(labelElement, title) {
-    title = title.trim();
-    // Use zero-width space if title is empty
-    if (title.length === 0) {
-      title = "\u200b";
-    }
-    labelElement.textContent = title;
+  static getTabId(resultElement) {
+    return parseInt(resultElement.id.substring(resultElement.classList.contains("tab-item") ? 4 : 7));
   }
   
   /**
-   * Update the color class of a group element
-   * @param {HTMLElement} groupElement - The group element to update
-   * @param {string} color - The new color name
+   * Check whether search results are shown or the tab list is filtered
+   * @returns {boolean} True while searching
    */
-  static updateColor(groupElement, color) {
-    groupElement.classList.remove(...Groups.Colors);
-    groupElement.classList.add(`group-color-${color}`);
+  static isActive() {
+    return Main.classList.contains("search-on") || Boolean(Search.filterIds);
   }
   
   /**
-   * Handle group header click - toggle collapse state
-   * @param {MouseEvent} event - The click event
+   * Whether the settings ask to filter the tab list instead of listing results
+   * @returns {boolean} True in filter-in-place mode
    */
-  static onHeaderClick(event) {
-    // Don't toggle collapse if clicking on the close button
-    if (event.target.classList.contains("group-close-icon")) {
-      return;
-    }
-    
-    const groupElement = event.currentTarget.closest(".group-item");
-    const groupId = parseInt(groupElement.id.substring(6));
-    
-    chrome.tabGroups.update(groupId, {
-      collapsed: !groupElement.classList.contains("collapse"),
-    });
+  static get filterMode() {
+    return Settings.settings.searchMode !== "results";
   }
   
   /**
-   * Handle group close button click - close all tabs in the group
-   * @param {MouseEvent} event - The click event
+   * Filter the tab list in place, hiding or dimming the tabs that don't match
+   * Groups holding matches are shown expanded with their match count
+   * @param {Array} results - Fuse.js search results of tabs
    */
-  static onCloseClick(event) {
-    event.preventDefault();
-    event.stopPropagation();
+  static showFilter(results) {
+    Search.filterIds = new Set(results.map((result) => result.item.id));
+    Main.classList.add("search-filter", `search-filter-${Settings.settings.searchMode}`);
+    Search.applyFilter();
     
-    const groupElement = event.currentTarget.closest(".group-item");
-    const groupId = parseInt(groupElement.id.substring(6));
-    
-    // Get all tabs in this group and close them
-    chrome.tabs.query({ currentWindow: true }, function (tabs) {
-      const tabsToClose = tabs
-        .filter((tab) => tab.groupId === groupId)
-        .map((tab) => tab.id);
-      
-      if (tabsToClose.length > 0) {
-        chrome.tabs.remove(tabsToClose);
-      }
-    });
+    const matches = Search.getResultItems();
+    Search.setCurrent(matches[0]);
   }
-}
-
-// ============================================================================
-// Search Class - Tab Search Functionality
-// ============================================================================
-
-/**
- * Provides fuzzy search across all tabs
- */
-class Search {
+  
   /**
-   * Initialize the search functionality
+   * Run the filter again after the tab list is rebuilt, keeping the highlight if it still matches
    */
-  static init() {
-    const searchInput = document.getElementById("search-input");
-    searchInput.placeholder = chrome.i18n.getMessage("searchPlaceholder");
-    searchInput.addEventListener("input", Search.onInputChanged);
-    searchInput.addEventListener("focus", Search.getIndex);
-    searchInput.addEventListener("keydown", function (event) {
-      if (event.key === "Enter") {
-        event.preventDefault();
-        Search.search();
-      }
-    });
+  static async refreshFilter() {
+    if (!Search.filterIds) return;
     
-    Search.input = searchInput;
-    Search.TimeoutId = 0;
+    const results = await Search.query(Search.lastQuery);
     
-    // Set up listeners to track when search index needs updating
-    chrome.tabs.onUpdated.addListener(Search.onTabUpdated);
-    chrome.tabs.onRemoved.addListener(Search.onTabRemoved);
-    chrome.tabs.onCreated.addListener(Search.onTabChanged);
-    chrome.tabs.onReplaced.addListener(Search.onTabChanged);
-  }
-  /**
-   * Handle tab update events - mark index as needing update
-   * @param {number} tabId - The updated tab ID
-   * @param {object} changeInfo - Information about what changed
-   */
-  static onTabUpdated(tabId, changeInfo) {
-    if (changeInfo.title || changeInfo.url) {
-      Search.needUpdate = true;
+    // The search was cleared while we were waiting
+    if (!Search.filterIds) return;
+    
+    Search.filterIds = new Set(results.map((result) => result.item.id));
+    Search.applyFilter();
+    
+    if (!Search.getCurrent()?.classList.contains("search-match")) {
+      Search.setCurrent(Search.getResultItems()[0]);
     }
   }
   
   /**
-   * Handle tab removal - mark index as needing update and remove from search results
-   * @param {number} tabId - The removed tab ID
+   * Mark the matching tabs and the groups holding them, and update the group match counts
    */
-  static onTabRemoved(tabId) {
-    Search.needUpdate = true;
+  static applyFilter() {
+    const tabList = Tabs.getMainList();
     
-    const searchResultElement = document.getElementById(`search-${tabId}`);
-    if (searchResultElement) {
-      searchResultElement.remove();
+    for (const tabElement of tabList.querySelectorAll(".tab-item")) {
+      tabElement.classList.toggle("search-match", Search.filterIds.has(parseInt(tabElement.id.substring(4))));
     }
     
-    // If no more results, show normal tab list
-    if (document.querySelectorAll(".search-item").length === 0) {
-      Search.showTabs();
+    for (const groupElement of tabList.querySelectorAll(".group-item")) {
+      const total = groupElement.querySelectorAll(".tab-item").length;
+      const count = groupElement.querySelectorAll(".tab-item.search-match").length;
+      groupElement.classList.toggle("search-has-match", count > 0);
+      
+      let countElement = groupElement.querySelector(".group-match-count");
+      if (!countElement) {
+        countElement = document.createElement("span");
+        countElement.className = "group-match-count";
+        groupElement.querySelector(".group-label").after(countElement);
+      }
+      countElement.textContent = `${count}/${total}`;
+      countElement.title = chrome.i18n.getMessage("searchGroupMatches", [count, total]);
     }
   }
   
   /**
-   * Handle tab creation or replacement - mark index as needing update
-   */
-  static onTabChanged() {
-    Search.needUpdate = true;
-  }
-  
-  /**
-   * Dynamically load the Fuse.js library
-   * @returns {Promise} Promise that resolves when Fuse.js is loaded
+   * Show the whole tab list again after filtering
    */
-  static loadFuse() {
-    if (!Search.loadFusePromise) {
-      Search.loadFusePromise = import("/js/fuse.esm.min.js").then(
-        (module) => (window.Fuse = module.default)
-      );
+  static clearFilter() {
+    if (!Search.filterIds) return;
+    
+    Search.filterIds = null;
+    Search.setCurrent(null);
+    Main.classList.remove("search-filter", "search-filter-hide", "search-filter-dim");
+    
+    for (const element of Main.querySelectorAll(".search-match, .search-has-match")) {
+      element.classList.remove("search-match", "search-has-match");
+    }
+    for (const countElement of Main.querySelectorAll(".group-match-count")) {
+      countElement.remove();
     }
-    return Search.loadFusePromise;
   }
   
   /**
-   * Build the search index from all tabs
+   * Highlight a result for the keyboard
+   * This is separate from the selection made with Ctrl/Shift-click
+   * @param {HTMLElement} [resultElement] - The result to highlight, none to clear
    */
-  static async buildIndex() {
-    await Search.loadFuse();
-    
-    const allTabs = await chrome.tabs.query({ windowType: "normal" });
-    const fuseOptions = {
-      threshold: 0.25,
-      ignoreLocation: true,
-      includeMatches: true,
-      keys: [
-        { name: "title", weight: 0.7 },
-        { name: "url", weight: 0.3 },
-      ],
-    };
+  static setCurrent(resultElement) {
+    Search.getCurrent()?.classList.remove("search-current");
+    if (!resultElement) return;
     
-    if (Search.tabsIndex) {
-      Search.tabsIndex.setCollection(allTabs);
-    } else {
-      Search.tabsIndex = new Fuse(allTabs, fuseOptions);
-    }
-    
-    Search.needUpdate = false;
+    resultElement.classList.add("search-current");
+    resultElement.scrollIntoViewIfNeeded(false);
   }
   
   /**
-   * Get the search index, building it if necessary
-   * @returns {Promise<Fuse>} The Fuse.js search index
+   * Handle input changes with debouncing
    */
-  static async getIndex() {
-    if (!Search.tabsIndex || Search.needUpdate) {
-      if (Search.buildIndexPromise) {
-        await Search.buildIndexPromise;
-      } else {
-        Search.buildIndexPromise = Search.buildIndex();
-        await Search.buildIndexPromise;
-        Search.buildIndexPromise = null;
-      }
-    }
-    return Search.tabsIndex;
+  static onInputChanged() {
+    Search.updateHighlight();
+    clearTimeout(Search.TimeoutId);
+    Search.TimeoutId = setTimeout(Search.search, 300);
   }
+  
   /**
-   * Perform search and display results
+   * Highlight the operators, phrases and negated words of the query
+   * The highlight is a copy of the input text laid over it, with only the marks visible
    */
-  static async search() {
-    const query = Search.input.value.trim();
+  static updateHighlight() {
+    const query = Search.input.value;
+    const nodes = [];
+    let position = 0;
     
-    if (query) {
-      const searchIndex = await Search.getIndex();
-      const results = searchIndex.search(query);
-      Search.showResults(results);
-    } else {
-      Search.showTabs();
+    for (const token of Search.tokenize(query)) {
+      if (token.type === "text" && !token.negate) continue;
+      
+      nodes.push(document.createTextNode(query.substring(position, token.start)));
+      
+      const mark = document.createElement("mark");
+      mark.className = `search-token search-token-${token.type}`;
+      mark.classList.toggle("search-token-negate", token.negate);
+      mark.classList.toggle("search-token-invalid", !token.valid);
+      mark.textContent = query.substring(token.start, token.end);
+      nodes.push(mark);
+      
+      position = token.end;
     }
+    nodes.push(document.createTextNode(query.substring(position)));
+    
+    Search.highlight.replaceChildren(...nodes);
+    Search.onInputScroll();
   }
   
   /**
-   * Handle input changes with debouncing
+   * Keep the highlight scrolled along with the input text
    */
-  static onInputChanged() {
-    clearTimeout(Search.TimeoutId);
-    Search.TimeoutId = setTimeout(Search.search, 300);
+  static onInputScroll() {
+    Search.highlight.scrollLeft = Search.input.scrollLeft;
   }
   /**
    * Create a search result tab element
@@ -2012,10 +7848,37 @@ class Search {
     resultElement.appendChild(Search.createFavicon(tab.url));
     resultElement.appendChild(Search.createLink(tab, searchResult.matches));
     resultElement.appendChild(Search.createCloseBtn());
+    Tabs.setLoadState(resultElement, tab, Search.onReloadClick);
     
     resultElement.addEventListener("click", Search.onTabClick);
+    resultElement.addEventListener("contextmenu", ContextMenu.showSearchMenu);
     resultElement.addEventListener("dblclick", Search.onTabDoubleClick);
     resultElement.addEventListener("auxclick", Search.onTabMiddleClick);
+    resultElement.addEventListener("keydown", Search.onResultKeyDown);
+    resultElement.tabIndex = 0;
+    
+    return resultElement;
+  }
+  
+  /**
+   * Create a bookmark or history search result element
+   * It has no tab behind it, so it opens its page in a new tab
+   * @param {object} searchResult - The Fuse.js search result
+   * @returns {HTMLElement} The search result element
+   */
+  static createResultPage(searchResult) {
+    const page = searchResult.item;
+    const resultElement = document.createElement("div");
+    resultElement.className = "search-item search-page";
+    resultElement.dataset.url = page.url;
+    
+    resultElement.appendChild(Search.createFavicon(page.url));
+    resultElement.appendChild(Search.createLink(page, searchResult.matches));
+    
+    resultElement.addEventListener("click", Search.onPageClick);
+    resultElement.addEventListener("auxclick", Search.onPageClick);
+    resultElement.addEventListener("keydown", Search.onResultKeyDown);
+    resultElement.tabIndex = 0;
     
     return resultElement;
   }
@@ -2132,9 +7995,58 @@ class Search {
    */
   static onTabClick(event) {
     event.preventDefault();
+    const resultElement = event.currentTarget;
     
-    const tabId = parseInt(event.currentTarget.id.substring(7));
+    // Ctrl/Cmd-click toggles a result, Shift-click selects a range of results
+    if (event.ctrlKey || event.metaKey) {
+      resultElement.classList.toggle("search-selected");
+      Search.selectionAnchor = resultElement;
+      return;
+    }
+    if (event.shiftKey && Search.selectionAnchor?.isConnected) {
+      Search.selectRange(Search.selectionAnchor, resultElement);
+      return;
+    }
+    
+    Search.clearSelection();
+    Search.openResult(resultElement);
+  }
+  
+  /**
+   * Handle a click or middle click on a bookmark or history result
+   * A middle click opens the page in the background
+   * @param {MouseEvent} event - The click or auxclick event
+   */
+  static onPageClick(event) {
+    if (event.button > 1) return;
+    
+    event.preventDefault();
+    Search.openResult(event.currentTarget, event.button === 0);
+  }
+  
+  /**
+   * Open a search result with Enter
+   * @param {KeyboardEvent} event - The keydown event
+   */
+  static onResultKeyDown(event) {
+    if (event.key !== "Enter") return;
+    
+    event.preventDefault();
+    Search.openResult(event.currentTarget);
+  }
+  
+  /**
+   * Switch to the tab of a search result, or open a bookmark or history result in a new tab
+   * @param {HTMLElement} resultElement - The search result element
+   * @param {boolean} [active] - Whether a newly opened tab becomes active
+   */
+  static openResult(resultElement, active = true) {
+    if (resultElement.classList.contains("search-page")) {
+      chrome.tabs.create({ windowId: WindowId, url: resultElement.dataset.url, active: active });
+      return;
+    }
     
+    const tabId = Search.getTabId(resultElement);
     chrome.tabs.get(tabId, function (tab) {
       if (chrome.runtime.lastError || !tab) return;
       
@@ -2152,7 +8064,7 @@ class Search {
     
     event.preventDefault();
     const tabId = parseInt(event.currentTarget.id.substring(7));
-    chrome.tabs.remove(tabId);
+    Undo.closeTabs([tabId]);
   }
   
   /**
@@ -2164,7 +8076,19 @@ class Search {
     
     event.preventDefault();
     const tabId = parseInt(event.currentTarget.id.substring(7));
-    chrome.tabs.remove(tabId);
+    Undo.closeTabs([tabId]);
+  }
+  
+  /**
+   * Handle reload button click in search results
+   * @param {MouseEvent} event - The click event
+   */
+  static onReloadClick(event) {
+    event.preventDefault();
+    event.stopPropagation();
+    
+    const tabId = parseInt(event.currentTarget.parentElement.id.substring(7));
+    chrome.tabs.reload(tabId);
   }
   
   /**
@@ -2176,7 +8100,7 @@ class Search {
     event.stopPropagation();
     
     const tabId = parseInt(event.currentTarget.parentElement.id.substring(7));
-    chrome.tabs.remove(tabId);
+    Undo.closeTabs([tabId]);
   }
   /**
    * Create the search results header
@@ -2186,6 +8110,8 @@ class Search {
     const header = document.createElement("div");
     const headerText = document.createTextNode(chrome.i18n.getMessage("searchResultHeader"));
     const backIcon = document.createElement("img");
+    const headerIcons = document.createElement("span");
+    const exportIcon = document.createElement("img");
     const refreshIcon = document.createElement("img");
     
     header.className = "search-header";
@@ -2193,13 +8119,83 @@ class Search {
     backIcon.src = "img/arrow_back.svg";
     backIcon.addEventListener("click", Search.showTabs);
     
+    exportIcon.src = "img/download.svg";
+    exportIcon.title = chrome.i18n.getMessage("transferExportResults");
+    exportIcon.addEventListener("click", Search.exportResults);
+    
     refreshIcon.src = "img/refresh.svg";
     refreshIcon.addEventListener("click", Search.search);
     
-    header.append(backIcon, headerText, refreshIcon);
+    headerIcons.append(exportIcon, refreshIcon);
+    header.append(backIcon, headerText, headerIcons);
     return header;
   }
   
+  /**
+   * Select the search results between two results, inclusive
+   * @param {HTMLElement} fromElement - The anchor result
+   * @param {HTMLElement} toElement - The clicked result
+   */
+  static selectRange(fromElement, toElement) {
+    const results = Array.from(document.querySelectorAll(".search-item:not(.search-page)"));
+    const fromIndex = results.indexOf(fromElement);
+    const toIndex = results.indexOf(toElement);
+    
+    for (const [index, result] of results.entries()) {
+      const isInRange = index >= Math.min(fromIndex, toIndex) && index <= Math.max(fromIndex, toIndex);
+      result.classList.toggle("search-selected", isInRange);
+    }
+  }
+  
+  /**
+   * Deselect all search results
+   */
+  static clearSelection() {
+    for (const result of document.querySelectorAll(".search-selected")) {
+      result.classList.remove("search-selected");
+    }
+    Search.selectionAnchor = null;
+  }
+  
+  /**
+   * Copy the selected search results, or the right-clicked one
+   * @param {string} [template] - The template, the settings template by default
+   */
+  static copy(template = Settings.settings.copyTemplate) {
+    const focusedElement = document.querySelector(".search-item.context-focus");
+    ContextMenu.hide();
+    
+    let resultElements = Array.from(document.querySelectorAll(".search-selected"));
+    if (focusedElement && !focusedElement.classList.contains("search-selected")) {
+      resultElements = [focusedElement];
+    }
+    
+    const tabIds = resultElements.map((result) => parseInt(result.id.substring(7)));
+    CopyTabs.copy(tabIds, template).catch((error) => console.error(error));
+  }
+  
+  /**
+   * Copy the selected search results with Ctrl/Cmd+C
+   * @param {KeyboardEvent} event - The keydown event
+   */
+  static onCopyKeyDown(event) {
+    if (!(event.ctrlKey || event.metaKey) || event.key !== "c") return;
+    if (!Main.classList.contains("search-on") || !document.querySelector(".search-selected")) return;
+    
+    const target = event.target;
+    if (target.tagName === "INPUT" && target.selectionStart !== target.selectionEnd) return;
+    
+    event.preventDefault();
+    Search.copy();
+  }
+  
+  /**
+   * Export the tabs of the current search results
+   */
+  static exportResults() {
+    Transfer.showExport(Search.results.map((result) => result.item));
+  }
+  
   /**
    * Create the "no results" message element
    * @returns {HTMLElement} The no results element
@@ -2211,12 +8207,33 @@ class Search {
     return noResults;
   }
   
+  /**
+   * Create the header of a search result section
+   * @param {string} messageName - i18n message for the section name
+   * @param {number} count - Number of results in the section
+   * @returns {HTMLElement} The section header element
+   */
+  static createSectionHeader(messageName, count) {
+    const header = document.createElement("div");
+    header.className = "search-section-header";
+    header.textContent = chrome.i18n.getMessage(messageName);
+    
+    const countElement = document.createElement("span");
+    countElement.className = "search-section-count";
+    countElement.textContent = count;
+    header.appendChild(countElement);
+    
+    return header;
+  }
+  
   /**
    * Display search results
    * @param {Array} results - Array of Fuse.js search results
+   * @param {object[]} [sections] - Bookmark and history sections from querySections()
    */
-  static showResults(results) {
+  static showResults(results, sections = []) {
     const resultsContainer = document.createElement("div");
+    Search.results = results;
     
     // Create header if not already created
     if (!Search.ResultHeader) {
@@ -2224,6 +8241,11 @@ class Search {
     }
     resultsContainer.appendChild(Search.ResultHeader);
     
+    // Tabs get their own section header once other sections are shown
+    if (sections.length > 0) {
+      resultsContainer.appendChild(Search.createSectionHeader("searchTabs", results.length));
+    }
+    
     // Add each result
     for (const result of results) {
       resultsContainer.appendChild(Search.createResultTab(result));
@@ -2234,8 +8256,18 @@ class Search {
       resultsContainer.appendChild(Search.createNoResults());
     }
     
+    for (const section of sections) {
+      resultsContainer.appendChild(Search.createSectionHeader(section.messageName, section.results.length));
+      for (const result of section.results) {
+        resultsContainer.appendChild(Search.createResultPage(result));
+      }
+    }
+    
     Main.replaceChild(resultsContainer, Main.lastElementChild);
     Main.classList.add("search-on");
+    
+    // The first result is what Enter opens
+    Search.setCurrent(resultsContainer.querySelector(".search-item"));
   }
   
   /**
@@ -2243,6 +8275,8 @@ class Search {
    */
   static showTabs() {
     Search.input.value = "";
+    Search.updateHighlight();
+    Search.clearFilter();
     Main.classList.remove("search-on");
   }
 }
@@ -2310,14 +8344,29 @@ document.addEventListener("click", function(event) {
 
 /**
  * Initialize all components of the extension
+ * Settings, the tree and the window sections are loaded first because the tab list depends on them
  */
-function init() {
+async function init() {
+  await Settings.init();
+  await Tree.init();
+  await WindowSections.init();
   Tabs.init();
+  DnD.init();
   Groups.init();
   ContextMenu.init();
+  KeyNav.init();
+  Preview.init();
   CloseConfirm.init();
+  Undo.init();
+  GroupRules.init();
+  Views.init();
+  Cleanup.init();
+  RecentlyClosed.init();
+  WindowSessions.init();
+  Stash.init();
+  Transfer.init();
+  CopyTabs.init();
   Search.init();
-  Settings.init();
   initMsg();
   
   // Initial focus attempt
@@ -1,12 +1,37 @@
+importScripts("js/shared.js");
+
 /**
  * Handle messages from the extension
  */
-function onMessage(message) {
-  message.type = "Move-Group-Window";
+function onMessage(message, sender, sendResponse) {
+  if (message.type === "Apply-Group-Rules") {
+    applyRulesToExisting(message.rules, message.dryRun).then(sendResponse).catch((error) => {
+      console.error(error);
+      sendResponse({ error: error.message });
+    });
+    return true;
+  }
+  
+  if (message.type === "Skip-Duplicate-Check") {
+    skipDuplicateCheck(message.tabIds);
+    return;
+  }
+  
+  if (message.type === "Move-Group-Window") {
+    moveGroupToNewWindow(message);
+  }
+}
+
+/**
+ * Move a group into a new window and activate one of its tabs
+ * A group dragged out of the panel opens where it was dropped
+ * @param {object} message - The group ID, the tab to activate, and the window position
+ */
+function moveGroupToNewWindow(message) {
   const tabId = message.tabId;
   const groupId = message.groupId;
 
-  chrome.windows.create({ focused: true }, function (newWindow) {
+  chrome.windows.create({ focused: true, left: message.left, top: message.top }, function (newWindow) {
     chrome.tabGroups.move(groupId, { index: 0, windowId: newWindow.id }, function () {
       chrome.tabs.update(tabId, { active: true }, function () {
         chrome.tabs.remove(newWindow.tabs[0].id);
@@ -15,11 +40,347 @@ function onMessage(message) {
   });
 }
 
+/** Grouping rules, loaded from storage on first use */
+let groupRules = null;
+
+/** Serializes grouping so concurrent matches don't create the same group twice */
+let groupingPromise = Promise.resolve();
+
+/**
+ * Get the grouping rules
+ * @returns {Promise<object[]>} Rules in priority order
+ */
+async function getGroupRules() {
+  if (!groupRules) {
+    ({ groupRules } = await chrome.storage.sync.get({ groupRules: [] }));
+  }
+  return groupRules;
+}
+
+/**
+ * Check whether a rule matches a tab
+ * A "url" pattern may use * as a wildcard, a "domain" also matches its subdomains,
+ * and a "title" pattern is a case-insensitive regular expression
+ * @param {object} rule - The rule
+ * @param {chrome.tabs.Tab} tab - The tab
+ * @returns {boolean} True if the rule matches
+ */
+function ruleMatches(rule, tab) {
+  if (!rule.pattern || !rule.group) return false;
+  
+  try {
+    switch (rule.type) {
+      case "url": {
+        const escaped = rule.pattern.replace(/[.+?^${}()|[\]\\]/g, "\\$&").replaceAll("*", ".*");
+        return new RegExp(`^${escaped}$`, "i").test(tab.url);
+      }
+      case "domain": {
+        const hostname = new URL(tab.url).hostname;
+        const domain = rule.pattern.toLowerCase();
+        return hostname === domain || hostname.endsWith(`.${domain}`);
+      }
+      case "title":
+        return new RegExp(rule.pattern, "i").test(tab.title);
+    }
+  } catch {
+    // Invalid URL or regular expression
+  }
+  return false;
+}
+
+/**
+ * Find the first rule matching a tab
+ * Pinned and already grouped tabs are left alone
+ * @param {object[]} rules - Rules in priority order
+ * @param {chrome.tabs.Tab} tab - The tab
+ * @returns {object|undefined} The matching rule
+ */
+function findRule(rules, tab) {
+  if (tab.pinned || tab.groupId !== chrome.tabGroups.TAB_GROUP_ID_NONE || !tab.url) return;
+  return rules.find((rule) => ruleMatches(rule, tab));
+}
+
+/**
+ * Put tabs into the rule's group in their window, creating the group if needed
+ * @param {number} windowId - The window of the tabs
+ * @param {number[]} tabIds - The tabs to group
+ * @param {object} rule - The matching rule
+ * @returns {Promise} Resolves when the tabs are grouped, rejects if grouping failed
+ */
+function groupTabs(windowId, tabIds, rule) {
+  const grouping = groupingPromise.then(async function () {
+    const [group] = await chrome.tabGroups.query({ windowId: windowId, title: rule.group });
+    
+    if (group) {
+      await chrome.tabs.group({ groupId: group.id, tabIds: tabIds });
+    } else {
+      const groupId = await chrome.tabs.group({ tabIds: tabIds, createProperties: { windowId: windowId } });
+      await chrome.tabGroups.update(groupId, { title: rule.group, color: rule.color });
+    }
+  });
+  // A failure is reported to the caller, and mustn't stop the groupings queued after it
+  groupingPromise = grouping.catch(() => {});
+  return grouping;
+}
+
+/**
+ * Group tabs as they are created or navigate, according to the rules
+ */
+async function applyRulesToTab(tabId, changeInfo, tab) {
+  if (!changeInfo.url && !changeInfo.title) return;
+  
+  const rule = findRule(await getGroupRules(), tab);
+  if (rule) {
+    groupTabs(tab.windowId, [tab.id], rule).catch((error) => console.error(error));
+  }
+}
+
+/**
+ * Apply rules to all open tabs, or only report what would change
+ * @param {object[]} rules - Rules in priority order
+ * @param {boolean} dryRun - Only report the matches
+ * @returns {Promise<object[]>} The matches, as tab title and group name
+ */
+async function applyRulesToExisting(rules, dryRun) {
+  const tabs = await chrome.tabs.query({ windowType: "normal" });
+  const batches = new Map();
+  const matches = [];
+  
+  for (const tab of tabs) {
+    const rule = findRule(rules, tab);
+    if (!rule) continue;
+    
+    matches.push({ title: tab.title || tab.url, group: rule.group, color: rule.color });
+    
+    const batchKey = `${tab.windowId}:${rules.indexOf(rule)}`;
+    if (!batches.has(batchKey)) {
+      batches.set(batchKey, { windowId: tab.windowId, rule: rule, tabIds: [] });
+    }
+    batches.get(batchKey).tabIds.push(tab.id);
+  }
+  
+  if (!dryRun) {
+    for (const batch of batches.values()) {
+      await groupTabs(batch.windowId, batch.tabIds, batch.rule);
+    }
+  }
+  return matches;
+}
+
+/**
+ * Remember the title and color of closed groups so the side panel can restore them
+ * @param {chrome.tabGroups.TabGroup} group - The removed group
+ */
+function rememberClosedGroup(group) {
+  // Closing a window with several groups removes them at once, so updates must not overlap
+  updateSessionObject("closedGroups", (closedGroups) => {
+    closedGroups[group.id] = { title: group.title, color: group.color };
+    
+    // Keep only the most recent groups, like the browser does with closed tabs
+    const groupIds = Object.keys(closedGroups);
+    for (const groupId of groupIds.slice(0, Math.max(0, groupIds.length - 50))) {
+      delete closedGroups[groupId];
+    }
+  });
+}
+
+/**
+ * Pick up rule changes made in the side panel
+ */
+function onStorageChanged(changes) {
+  if (changes.groupRules) {
+    groupRules = changes.groupRules.newValue || [];
+  }
+  
+  if (changes.autoDiscard) {
+    updateAutoDiscardAlarm();
+  }
+}
+
+/** Name of the periodic alarm that discards inactive tabs */
+const AutoDiscardAlarm = "auto-discard";
+
+/**
+ * Schedule the auto-discard alarm while auto-discarding is on, and clear it otherwise
+ * so the service worker isn't woken up every minute for nothing
+ */
+async function updateAutoDiscardAlarm() {
+  const { autoDiscard } = await chrome.storage.sync.get({ autoDiscard: false });
+  
+  if (!autoDiscard) {
+    await chrome.alarms.clear(AutoDiscardAlarm);
+    return;
+  }
+  
+  const alarm = await chrome.alarms.get(AutoDiscardAlarm);
+  if (!alarm) {
+    chrome.alarms.create(AutoDiscardAlarm, { periodInMinutes: 1 });
+  }
+}
+
+/**
+ * Discard tabs left inactive longer than the configured time
+ * Pinned, audible and protected (not auto-discardable) tabs are skipped
+ */
+async function autoDiscard() {
+  const settings = await chrome.storage.sync.get({ autoDiscard: false, autoDiscardMinutes: 60 });
+  if (!settings.autoDiscard) return;
+  
+  const cutoff = Date.now() - settings.autoDiscardMinutes * 60 * 1000;
+  const tabs = await chrome.tabs.query({
+    active: false,
+    pinned: false,
+    audible: false,
+    discarded: false,
+    autoDiscardable: true,
+  });
+  
+  for (const tab of tabs) {
+    if (tab.lastAccessed && tab.lastAccessed < cutoff) {
+      chrome.tabs.discard(tab.id).catch((error) => console.error(error));
+    }
+  }
+}
+
+/**
+ * Handle alarms
+ */
+function onAlarm(alarm) {
+  if (alarm.name === AutoDiscardAlarm) {
+    autoDiscard();
+  }
+}
+
+/** Serializes read-modify-write updates of session storage */
+let sessionUpdatePromise = Promise.resolve();
+
+/**
+ * Change an object kept in session storage, one update at a time
+ * Session storage outlives the service worker being suspended, unlike variables
+ * @param {string} key - The storage key
+ * @param {Function} update - Changes the object in place, returns false if nothing changed
+ * @returns {Promise} Resolves when the change is stored
+ */
+function updateSessionObject(key, update) {
+  sessionUpdatePromise = sessionUpdatePromise.then(async function () {
+    const { [key]: value = {} } = await chrome.storage.session.get(key);
+    if (update(value) !== false) {
+      await chrome.storage.session.set({ [key]: value });
+    }
+  }).catch((error) => console.error(error));
+  return sessionUpdatePromise;
+}
+
+/**
+ * Remember tabs the side panel opened itself, so they are never closed as duplicates
+ * Restored sessions, stashes and closed tabs may well be open already
+ * @param {number[]} tabIds - The tabs the panel opened
+ */
+function skipDuplicateCheck(tabIds) {
+  updateSessionObject("panelTabIds", (panelTabIds) => {
+    for (const tabId of tabIds) {
+      panelTabIds[tabId] = true;
+    }
+  });
+}
+
+/**
+ * Remember new tabs so their first page can be checked for duplicates
+ */
+function onTabCreated(tab) {
+  updateSessionObject("newTabIds", (newTabIds) => {
+    newTabIds[tab.id] = true;
+  });
+}
+
+/**
+ * Forget a closed tab in the duplicate check state
+ * @param {number} tabId - The tab ID
+ */
+function forgetNewTab(tabId) {
+  for (const key of ["newTabIds", "panelTabIds"]) {
+    updateSessionObject(key, (tabIds) => {
+      if (!(tabId in tabIds)) return false;
+      delete tabIds[tabId];
+    });
+  }
+}
+
+/**
+ * Switch to the existing tab when a new tab opens a page that is already open
+ * Tabs the side panel opened are left alone
+ */
+async function onTabUpdated(tabId, changeInfo) {
+  if (!changeInfo.url) return;
+  
+  // Keep waiting while the new tab shows the new tab page
+  if (changeInfo.url.startsWith("chrome://newtab") || changeInfo.url === "about:blank") return;
+  
+  let isNewTab = false;
+  await updateSessionObject("newTabIds", (newTabIds) => {
+    if (!(tabId in newTabIds)) return false;
+    isNewTab = true;
+    delete newTabIds[tabId];
+  });
+  if (!isNewTab) return;
+  
+  const settings = await chrome.storage.sync.get({ switchToDuplicate: false, duplicateCompare: "hash" });
+  if (!settings.switchToDuplicate) return;
+  
+  const key = getDuplicateKey(changeInfo.url, settings.duplicateCompare);
+  const tabs = await chrome.tabs.query({ windowType: "normal" });
+  const existingTab = tabs.find((tab) => tab.id !== tabId && getDuplicateKey(tab.url, settings.duplicateCompare) === key);
+  if (!existingTab) return;
+  
+  // Checked last, so the panel has had time to report the tabs it just opened
+  await sessionUpdatePromise;
+  const { panelTabIds = {} } = await chrome.storage.session.get("panelTabIds");
+  if (tabId in panelTabIds) return;
+  
+  await chrome.tabs.update(existingTab.id, { active: true });
+  await chrome.windows.update(existingTab.windowId, { focused: true });
+  chrome.tabs.remove(tabId);
+}
+
+/**
+ * Change the main-frame load errors kept in session storage for the side panel
+ * Keeping them here means failures from before the panel was opened are shown too
+ * @param {Function} update - Changes the errors object by tab ID, returns false if nothing changed
+ */
+function updateLoadErrors(update) {
+  updateSessionObject("loadErrors", update);
+}
+
+/**
+ * Record a failed main-frame navigation
+ * Renderer crashes aren't reported to extensions, so only failed loads are covered
+ */
+function onNavigationError(details) {
+  // Aborted loads (stopped, or replaced by another navigation) aren't failures
+  if (details.frameId !== 0 || details.error === "net::ERR_ABORTED") return;
+  
+  updateLoadErrors((loadErrors) => {
+    loadErrors[details.tabId] = details.error;
+  });
+}
+
+/**
+ * Forget the load error of a tab that starts a new navigation or is closed
+ * @param {number} tabId - The tab ID
+ */
+function clearLoadError(tabId) {
+  updateLoadErrors((loadErrors) => {
+    if (!(tabId in loadErrors)) return false;
+    delete loadErrors[tabId];
+  });
+}
+
 /**
  * Handle extension installation
  */
 function onInstalled(details) {
   chrome.sidePanel.setPanelBehavior({ openPanelOnActionClick: true });
+  updateAutoDiscardAlarm();
   
   if (details && details.reason === "install") {
     chrome.tabs.create({ url: "guide.html" });
@@ -27,4 +388,19 @@ function onInstalled(details) {
 }
 
 chrome.runtime.onInstalled.addListener(onInstalled);
+chrome.runtime.onStartup.addListener(updateAutoDiscardAlarm);
 chrome.runtime.onMessage.addListener(onMessage);
+chrome.alarms.onAlarm.addListener(onAlarm);
+chrome.tabs.onCreated.addListener(onTabCreated);
+chrome.tabs.onUpdated.addListener(onTabUpdated);
+chrome.tabs.onUpdated.addListener(applyRulesToTab);
+chrome.storage.sync.onChanged.addListener(onStorageChanged);
+chrome.tabGroups.onRemoved.addListener(rememberClosedGroup);
+chrome.tabs.onRemoved.addListener(forgetNewTab);
+chrome.tabs.onRemoved.addListener(clearLoadError);
+chrome.webNavigation.onErrorOccurred.addListener(onNavigationError);
+chrome.webNavigation.onBeforeNavigate.addListener((details) => {
+  if (details.frameId === 0) {
+    clearLoadError(details.tabId);
+  }
+});